@@ -1,75 +1,143 @@
 import dotenv from "dotenv";
 import express from "express";
-import { google } from "googleapis";
 import { migrateOldOrders } from "./services/migrateOldOrders.js";
-import { loadTracker } from "./services/tracker.js";
+import { loadTracker, isSqliteTrackerStore, exportTrackerSnapshot } from "./services/tracker.js";
 import { sendDailySummary, resetDailyFailures } from "./services/notifier.js";
 import { processAllOrders } from './services/orders.js';
+import { cleanupOldCompletedOrders, isSelfHostedDelivery } from './services/delivery.js';
+import { handleDownload } from './routes/download.js';
+import { getStatus } from './routes/status.js';
+import { getMetrics } from './routes/metrics.js';
+import { getReadiness } from './routes/ready.js';
+import { getRunLockStatus } from './services/runLock.js';
+import { showRecoveryForm, handleRecoveryRequest } from './routes/recover.js';
+import {
+    showLogin, handleLogin, handleLogout, showDashboard,
+    retryOrder, resendOrder, resolveOrder, resolveFailure, resolveSkippedFile,
+} from './routes/dashboard.js';
+import { registerJob, scheduleFromEnv, runJob, startScheduler } from './services/scheduler.js';
+import { requireRole } from './services/auth.js';
+import {
+    listJobs, triggerJobRun, pauseJobRoute, resumeJobRoute, listRuns,
+    reprocessOrderRoute, resendOrderRoute, validateCatalogRoute,
+} from './routes/admin.js';
+import { installConsoleBridge, withLogContext, createRunId } from './services/logger.js';
 
 dotenv.config();
 
+// Structured JSON logs (LOG_LEVEL, LOG_FORMAT, LOG_FILE)
+installConsoleBridge();
+
 const app = express();
+
+// Behind a reverse proxy req.ip is the proxy's address unless it is trusted
+// (TRUST_PROXY: "true", a hop count, or a comma-separated list of addresses/subnets)
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY.trim();
+    app.set("trust proxy", trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 let trackerCache = {}; // Global cache for order tracking
 
-// ✅ Health Check
+// Roles: viewer < operator < admin (API keys via API_KEYS, dashboard users via DASHBOARD_USERS)
+const viewer = requireRole("viewer");
+const operator = requireRole("operator");
+const admin = requireRole("admin");
+
+// Each request gets a requestId on its log lines
+app.use((req, res, next) => withLogContext({ requestId: createRunId() }, next));
+
+// ✅ Health Check (public, so no order or file details)
 app.get("/health", (req, res) => {
-    const fileCount = Object.keys(trackerCache).length;
-    const latestFile = fileCount > 0 ? Object.keys(trackerCache).sort().pop() : "None";
+    const { running, skippedRuns, lastSkippedAt } = getRunLockStatus();
 
     res.json({
         status: "ok",
-        trackedFiles: fileCount,
-        lastOrderProcessed: latestFile,
+        processing: { running, skippedRuns, lastSkippedAt },
     });
 });
 
+// ✅ Readiness Check (storage folders, SMTP, tracker and disk space)
+app.get("/ready", getReadiness);
+
 // ✅ Status Check
-app.get("/status", async (req, res) => {
+app.get("/status", viewer, async (req, res) => {
     try {
         trackerCache = await loadTracker();
-        res.json({ status: "ok", trackerCache });
+        await getStatus(req, res, trackerCache.processedOrders || {});
     } catch (error) {
         res.status(500).json({ status: "error", error: error.message });
     }
 });
 
-// 🌐 Google Drive Authentication Setup
-const credentials = {
-    client_email: process.env.GOOGLE_CLIENT_EMAIL,
-    private_key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, "\n"), // Fix escape issues
-    project_id: process.env.GOOGLE_PROJECT_ID,
-};
-
-const auth = new google.auth.JWT({
-    email: credentials.client_email,
-    key: credentials.private_key,
-    scopes: ["https://www.googleapis.com/auth/drive"],
+// 📈 Prometheus metrics (scrape with a viewer API key as the bearer token)
+app.get("/metrics", viewer, getMetrics);
+
+// 🔐 Admin API
+app.use("/admin", express.json());
+app.get("/admin/jobs", viewer, listJobs);
+app.post("/admin/jobs/:job/run", operator, triggerJobRun);
+app.post("/admin/jobs/:job/pause", admin, pauseJobRoute);
+app.post("/admin/jobs/:job/resume", admin, resumeJobRoute);
+app.get("/admin/runs", viewer, listRuns);
+app.post("/admin/orders/:orderNumber/reprocess", operator, reprocessOrderRoute);
+app.post("/admin/orders/:orderNumber/resend", operator, resendOrderRoute);
+app.get("/admin/catalog/validate", viewer, validateCatalogRoute);
+
+// 🖥️ Admin Dashboard (session login)
+const dashboardForm = express.urlencoded({ extended: false });
+const dashboardViewer = requireRole("viewer", { loginPath: "/dashboard/login" });
+const dashboardOperator = requireRole("operator", { loginPath: "/dashboard/login" });
+app.get("/dashboard/login", (req, res) => showLogin(req, res));
+app.post("/dashboard/login", dashboardForm, handleLogin);
+app.post("/dashboard/logout", handleLogout);
+app.get("/dashboard", dashboardViewer, showDashboard);
+app.post("/dashboard/orders/:orderNumber/retry", dashboardOperator, retryOrder);
+app.post("/dashboard/orders/:orderNumber/resend", dashboardOperator, resendOrder);
+app.post("/dashboard/orders/:orderNumber/resolve", dashboardOperator, resolveOrder);
+app.post("/dashboard/failures/resolve", dashboardOperator, dashboardForm, resolveFailure);
+app.post("/dashboard/skipped/resolve", dashboardOperator, dashboardForm, resolveSkippedFile);
+
+// ⬇️ Customer Downloads (self-hosted delivery links)
+app.get("/download/:token", handleDownload);
+
+// 🔑 Customer Self-Service: request a fresh link for a past order
+app.get("/recover", showRecoveryForm);
+app.post("/recover", express.urlencoded({ extended: false }), handleRecoveryRequest);
+
+// 🗓️ Scheduled Jobs (cron expressions & timezones from .env)
+registerJob("processing", {
+    ...scheduleFromEnv("processing", "PROCESSING", "*/5 * * * *"),
+    task: async () => {
+        const run = await processAllOrders();
+        return run.skipped ? run : run.result;
+    },
 });
 
-const drive = google.drive({ version: "v3", auth });
+registerJob("cleanup", {
+    ...scheduleFromEnv("cleanup", "CLEANUP", "0 * * * *"),
+    task: cleanupOldCompletedOrders,
+});
 
-// 🧹 Cleanup old completed files (older than 24h)
-async function cleanupOldCompletedOrders() {
-    try {
-        const folderId = process.env.COMPLETED_ORDERS_FOLDER_ID;
-        if (!folderId) throw new Error("COMPLETED_ORDERS_FOLDER_ID is missing in .env");
-
-        const res = await drive.files.list({
-            q: `'${folderId}' in parents and trashed=false`,
-            fields: "files(id, name, createdTime)",
-        });
-
-        const threshold = Date.now() - 24 * 60 * 60 * 1000; // 24 hours ago
-        for (const file of res.data.files) {
-            const createdTime = new Date(file.createdTime).getTime();
-            if (createdTime < threshold) {
-                await drive.files.delete({ fileId: file.id });
-                console.log(`🧹 Deleted old completed order file: ${file.name} (${file.id})`);
-            }
-        }
-    } catch (err) {
-        console.error("❌ Cleanup failed:", err);
-    }
+registerJob("migration", {
+    ...scheduleFromEnv("migration", "MIGRATION", "0 3 * * *"),
+    task: migrateOldOrders,
+});
+
+registerJob("dailySummary", {
+    ...scheduleFromEnv("dailySummary", "DAILY_SUMMARY", "0 0 * * *"),
+    task: async () => {
+        resetDailyFailures();
+        await sendDailySummary();
+    },
+});
+
+// 💾 Tracker Snapshot to Drive (SQLite store only)
+if (isSqliteTrackerStore()) {
+    registerJob("trackerSnapshot", {
+        ...scheduleFromEnv("trackerSnapshot", "TRACKER_SNAPSHOT", "0 * * * *"),
+        task: exportTrackerSnapshot,
+    });
 }
 
 // 🚀 Initial Processing
@@ -78,57 +146,22 @@ async function startup() {
 
     try {
         trackerCache = await loadTracker();
-        await processAllOrders();
-        await migrateOldOrders();
-        await cleanupOldCompletedOrders();
+        await runJob("processing", "startup");
+        await runJob("migration", "startup");
+        await runJob("cleanup", "startup");
         console.log("✅ Initial processing complete.");
     } catch (err) {
         console.error("❌ Initial processing failed:", err);
     }
 }
 
-// ⏱️ Recurring Processing (Every 5 mins)
-setInterval(async () => {
-    try {
-        await processAllOrders();
-    } catch (err) {
-        console.error("❌ Recurring processing failed:", err);
-    }
-}, 5 * 60 * 1000);
-
-// ⏱️ Recurring Cleanup (Every 60 mins)
-setInterval(async () => {
-    try {
-        await cleanupOldCompletedOrders();
-        console.log("✅ Recurring cleanup complete.");
-    } catch (err) {
-        console.error("❌ Recurring cleanup failed:", err);
-    }
-}, 60 * 60 * 1000);
-
-// 🌅 Schedule Daily Reset & Summary (Runs at Midnight)
-function scheduleDailyReset() {
-    const now = new Date();
-    const nextMidnight = new Date(now);
-    nextMidnight.setDate(now.getDate() + 1);
-    nextMidnight.setHours(0, 0, 0, 0);
-
-    const msUntilMidnight = nextMidnight - now;
-
-    setTimeout(async () => {
-        console.log("🕛 Running daily reset & summary email...");
-        resetDailyFailures();
-        await sendDailySummary();
-        scheduleDailyReset();
-    }, msUntilMidnight);
-
-    console.log("🕛 Scheduled daily reset & summary email.");
-}
-
 // Start the Express Server
 app.listen(3000, async () => {
     console.log("✅ narrARTive Automation Service is running...");
-    scheduleDailyReset();
+    if (isSelfHostedDelivery() && !process.env.DOWNLOAD_TOKEN_SECRET) {
+        console.warn("⚠️ DELIVERY_LINK_MODE=self-hosted but DOWNLOAD_TOKEN_SECRET is not set - deliveries will fail and /download rejects every link");
+    }
+    startScheduler();
     await startup();
     console.log("✅ Health & Status API running on port 3000");
 });
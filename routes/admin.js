@@ -0,0 +1,112 @@
+import { getJobs, hasJob, pauseJob, resumeJob, triggerJob } from '../services/scheduler.js';
+import { getRecentRuns } from '../services/runHistory.js';
+import { reprocessOrder, resendOrderEmail } from '../services/orders.js';
+import { validateCatalog } from '../services/catalogValidator.js';
+import { reportError, ERROR_CATEGORIES } from '../services/errorTracker.js';
+
+const MAX_RUNS = 100;
+
+function findJob(req, res) {
+    const { job } = req.params;
+    if (!hasJob(job)) {
+        res.status(404).json({ status: 'error', error: `Unknown job: ${job}` });
+        return null;
+    }
+    return job;
+}
+
+// GET /admin/jobs
+export function listJobs(req, res) {
+    res.json({ status: 'ok', jobs: getJobs() });
+}
+
+// POST /admin/jobs/:job/run[?wait=true]
+export async function triggerJobRun(req, res) {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    // runJob records task failures itself, so this only catches errors from before the task starts
+    const run = triggerJob(job).catch(error => {
+        console.error(`❌ Could not run job ${job}: ${error.message}`);
+        reportError(ERROR_CATEGORIES.JOB, error, { job, trigger: 'manual' });
+        return { trigger: 'manual', outcome: 'failed', error: error.message };
+    });
+    if (req.query.wait !== 'true') {
+        return res.status(202).json({ status: 'accepted', job });
+    }
+
+    const result = await run;
+    res.status(result.outcome === 'failed' ? 500 : 200).json({ status: result.outcome, job, run: result });
+}
+
+// POST /admin/jobs/:job/pause
+export function pauseJobRoute(req, res) {
+    const job = findJob(req, res);
+    if (!job) return;
+    res.json({ status: 'ok', job: pauseJob(job) });
+}
+
+// POST /admin/jobs/:job/resume
+export function resumeJobRoute(req, res) {
+    const job = findJob(req, res);
+    if (!job) return;
+    res.json({ status: 'ok', job: resumeJob(job) });
+}
+
+// GET /admin/runs?limit=N&job=processing
+export function listRuns(req, res) {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_RUNS);
+    res.json({ status: 'ok', runs: getRecentRuns({ limit, job: req.query.job }) });
+}
+
+// POST /admin/orders/:orderNumber/reprocess  { reason, email?, products? }
+export async function reprocessOrderRoute(req, res) {
+    const { orderNumber } = req.params;
+    const { reason, email, products } = req.body || {};
+
+    if (!reason) {
+        return res.status(400).json({ status: 'error', error: 'A reason is required' });
+    }
+    if (products !== undefined && (!Array.isArray(products) || products.some(product => typeof product !== 'string'))) {
+        return res.status(400).json({ status: 'error', error: 'products must be an array of product names' });
+    }
+
+    try {
+        const outcome = await reprocessOrder(orderNumber, { reason, email, products, requestedBy: req.user.username });
+        if (outcome.skipped) {
+            return res.status(409).json({ status: 'busy', error: outcome.reason });
+        }
+        res.status(outcome.result.fulfilled ? 200 : 500).json({
+            status: outcome.result.fulfilled ? 'ok' : 'failed',
+            ...outcome.result,
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', error: error.message });
+    }
+}
+
+// POST /admin/orders/:orderNumber/resend  { email? }
+export async function resendOrderRoute(req, res) {
+    const { orderNumber } = req.params;
+    const { email } = req.body || {};
+
+    try {
+        const outcome = await resendOrderEmail(orderNumber, { email, requestedBy: req.user.username });
+        if (outcome.skipped) {
+            return res.status(409).json({ status: 'busy', error: outcome.reason });
+        }
+        res.json({ status: 'ok', ...outcome.result });
+    } catch (error) {
+        res.status(500).json({ status: 'error', error: error.message });
+    }
+}
+
+// GET /admin/catalog/validate — audits the product folders; 200 even when issues are found
+export async function validateCatalogRoute(req, res) {
+    try {
+        res.json({ status: 'ok', report: await validateCatalog() });
+    } catch (error) {
+        console.error(`❌ Catalog validation failed: ${error.message}`);
+        res.status(500).json({ status: 'error', error: error.message });
+    }
+}
@@ -0,0 +1,301 @@
+import { loadTracker, loadFailedOrdersTracker, getFailureEntries, updateFailedOrdersTracker, logOrderEvent } from '../services/tracker.js';
+import { ORDER_STATES, isOrderEmailed } from '../services/orderState.js';
+import { reprocessOrder, resendOrderEmail } from '../services/orders.js';
+import { startSession, endSession } from '../services/sessions.js';
+import { verifyUserCredentials, hasRole } from '../services/auth.js';
+import { createAttemptCounter } from '../services/attemptCounter.js';
+
+const MAX_ORDERS_SHOWN = 50;
+const LOGIN_FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+// Failed logins per client IP within the last hour; a successful login clears them
+const failedLoginsByIp = createAttemptCounter(LOGIN_FAILURE_WINDOW_MS);
+
+function getMaxFailedLoginsPerHour() {
+    return parseInt(process.env.DASHBOARD_MAX_FAILED_LOGINS_PER_HOUR || '10', 10);
+}
+
+const STATE_COLORS = {
+    [ORDER_STATES.FAILED]: '#c62828',
+    [ORDER_STATES.EMAILED]: '#1565c0',
+    [ORDER_STATES.DELIVERED]: '#2e7d32',
+};
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderLayout(res, title, body, status = 200) {
+    res.status(status).type('html').send(`
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="utf-8">
+            <title>narrARTive – ${escapeHtml(title)}</title>
+            <style>
+                body { font-family: sans-serif; margin: 32px; color: #333; }
+                table { border-collapse: collapse; width: 100%; margin-bottom: 32px; font-size: 14px; }
+                th, td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; vertical-align: top; }
+                form.inline { display: inline; }
+                button { cursor: pointer; }
+                .flash { background: #fff8e1; padding: 8px 12px; border-radius: 4px; }
+                .muted { color: #888; }
+            </style>
+        </head>
+        <body>${body}</body>
+        </html>
+    `);
+}
+
+function actionButton(action, label, fields = {}) {
+    const hidden = Object.entries(fields)
+        .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+        .join('');
+    return `<form class="inline" method="post" action="${escapeHtml(action)}">${hidden}<button type="submit">${escapeHtml(label)}</button></form>`;
+}
+
+function redirectWithMessage(res, message) {
+    res.redirect(303, `/dashboard?msg=${encodeURIComponent(message)}`);
+}
+
+// Long-running actions continue after the redirect; outcomes end up in the order history
+function runInBackground(label, task) {
+    task()
+        .then(outcome => {
+            if (outcome?.skipped) console.log(`⏭️ ${label} skipped: ${outcome.reason}`);
+        })
+        .catch(error => console.error(`❌ ${label} failed: ${error.message}`));
+}
+
+function matchesSearch(orderNumber, order, query) {
+    if (!query) return true;
+    const haystack = [orderNumber, order.buyerName, order.buyerEmail].join(' ').toLowerCase();
+    return haystack.includes(query.toLowerCase());
+}
+
+// GET /dashboard/login
+export function showLogin(req, res, error = null, status = 200) {
+    renderLayout(res, 'Login', `
+        <h1>narrARTive Admin</h1>
+        ${error ? `<p class="flash">${escapeHtml(error)}</p>` : ''}
+        <form method="post" action="/dashboard/login">
+            <p><label>Username<br><input name="username" autocomplete="username" required></label></p>
+            <p><label>Password<br><input name="password" type="password" autocomplete="current-password" required></label></p>
+            <p><button type="submit">Sign in</button></p>
+        </form>
+    `, status);
+}
+
+// POST /dashboard/login
+export function handleLogin(req, res) {
+    if (!process.env.SESSION_SECRET) {
+        return showLogin(req, res, 'The dashboard is disabled (SESSION_SECRET not set).', 503);
+    }
+
+    // Checked before the password so a blocked client learns nothing from further guesses
+    if (failedLoginsByIp.count(req.ip) >= getMaxFailedLoginsPerHour()) {
+        console.log(`⛔ Dashboard login from ${req.ip} blocked after too many failures`);
+        return showLogin(req, res, 'Too many failed attempts. Please try again in an hour.', 429);
+    }
+
+    const user = verifyUserCredentials(req.body?.username, req.body?.password);
+    if (!user) {
+        failedLoginsByIp.record(req.ip);
+        console.log(`🔒 Failed dashboard login from ${req.ip}`);
+        return showLogin(req, res, 'Invalid username or password.', 401);
+    }
+
+    failedLoginsByIp.clear(req.ip);
+    startSession(res, user);
+    console.log(`🔑 ${user.username} (${user.role}) signed in to the dashboard`);
+    res.redirect(303, '/dashboard');
+}
+
+// POST /dashboard/logout
+export function handleLogout(req, res) {
+    endSession(res);
+    res.redirect(303, '/dashboard/login');
+}
+
+// GET /dashboard?q=<order number or buyer>
+export async function showDashboard(req, res) {
+    const query = String(req.query.q || '').trim();
+
+    try {
+        const [tracker, failedOrders] = await Promise.all([loadTracker(), loadFailedOrdersTracker()]);
+
+        const orders = Object.entries(tracker.orders || {})
+            .filter(([orderNumber, order]) => matchesSearch(orderNumber, order, query))
+            .sort(([, a], [, b]) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')))
+            .slice(0, MAX_ORDERS_SHOWN);
+
+        // Viewers get a read-only dashboard
+        const canAct = hasRole(req.user.role, 'operator');
+
+        const orderRows = orders.map(([orderNumber, order]) => {
+            const color = STATE_COLORS[order.state] || '#555';
+            const actions = !canAct ? '' : [
+                actionButton(`/dashboard/orders/${encodeURIComponent(orderNumber)}/retry`, 'Retry'),
+                isOrderEmailed(order) ? actionButton(`/dashboard/orders/${encodeURIComponent(orderNumber)}/resend`, 'Resend') : '',
+                order.state === ORDER_STATES.FAILED && !order.resolvedAt
+                    ? actionButton(`/dashboard/orders/${encodeURIComponent(orderNumber)}/resolve`, 'Mark resolved')
+                    : '',
+            ].join(' ');
+
+            return `
+                <tr>
+                    <td>${escapeHtml(orderNumber)}</td>
+                    <td>${escapeHtml(order.buyerName)}<br><span class="muted">${escapeHtml(order.buyerEmail)}</span></td>
+                    <td style="color: ${color}; font-weight: bold;">${escapeHtml(order.state)}${order.resolvedAt ? ' <span class="muted">(resolved)</span>' : ''}</td>
+                    <td>${(order.products || []).map(escapeHtml).join('<br>')}</td>
+                    <td>${(order.downloads || []).length}</td>
+                    <td>${escapeHtml(order.updatedAt)}</td>
+                    <td>${escapeHtml(order.error)}</td>
+                    <td>${actions}</td>
+                </tr>`;
+        }).join('');
+
+        const failureRows = getFailureEntries(failedOrders)
+            .filter(([orderNumber]) => matchesSearch(orderNumber, {}, query))
+            .map(([orderNumber, reason]) => `
+                <tr>
+                    <td>${escapeHtml(orderNumber)}</td>
+                    <td>${escapeHtml(typeof reason === 'string' ? reason : JSON.stringify(reason))}</td>
+                    <td>${canAct ? actionButton('/dashboard/failures/resolve', 'Mark resolved', { key: orderNumber }) : ''}</td>
+                </tr>`)
+            .join('');
+
+        const skippedRows = Object.entries(failedOrders.skippedFiles || {})
+            .filter(([fileName, entry]) => matchesSearch(entry.orderNumber, {}, query) || fileName.includes(query))
+            .map(([fileName, entry]) => `
+                <tr>
+                    <td>${escapeHtml(fileName)}</td>
+                    <td>${escapeHtml(entry.orderNumber)}</td>
+                    <td>${escapeHtml(entry.dateSkipped)}</td>
+                    <td>${escapeHtml(entry.reason)}${entry.resolvedAt ? ` <span class="muted">(resolved by ${escapeHtml(entry.resolvedBy)})</span>` : ''}</td>
+                    <td>${canAct && !entry.resolvedAt ? actionButton('/dashboard/skipped/resolve', 'Mark resolved', { fileName }) : ''}</td>
+                </tr>`)
+            .join('');
+
+        const message = req.query.msg ? `<p class="flash">${escapeHtml(req.query.msg)}</p>` : '';
+        const empty = (columns) => `<tr><td colspan="${columns}" class="muted">Nothing here</td></tr>`;
+
+        renderLayout(res, 'Dashboard', `
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <h1>narrARTive Orders</h1>
+                <div>Signed in as ${escapeHtml(req.user.username)} (${escapeHtml(req.user.role)}) ${actionButton('/dashboard/logout', 'Sign out')}</div>
+            </div>
+            ${message}
+            <form method="get" action="/dashboard">
+                <input name="q" value="${escapeHtml(query)}" placeholder="Order number, buyer name or email" style="width: 320px;">
+                <button type="submit">Search</button>
+                ${query ? '<a href="/dashboard">Clear</a>' : ''}
+            </form>
+
+            <h2>Orders <span class="muted">(${orders.length}${orders.length === MAX_ORDERS_SHOWN ? '+' : ''})</span></h2>
+            <table>
+                <tr><th>Order</th><th>Buyer</th><th>State</th><th>Products</th><th>Downloads</th><th>Updated</th><th>Error</th><th></th></tr>
+                ${orderRows || empty(8)}
+            </table>
+
+            <h2>Failures</h2>
+            <table>
+                <tr><th>Order</th><th>Reason</th><th></th></tr>
+                ${failureRows || empty(3)}
+            </table>
+
+            <h2>Skipped Files</h2>
+            <table>
+                <tr><th>File</th><th>Order</th><th>Skipped</th><th>Reason</th><th></th></tr>
+                ${skippedRows || empty(5)}
+            </table>
+        `);
+    } catch (error) {
+        console.error(`❌ Dashboard failed to load: ${error.message}`);
+        renderLayout(res, 'Error', `<h1>Dashboard unavailable</h1><p>${escapeHtml(error.message)}</p>`, 500);
+    }
+}
+
+// POST /dashboard/orders/:orderNumber/retry
+export function retryOrder(req, res) {
+    const { orderNumber } = req.params;
+    runInBackground(`Retry of order ${orderNumber}`, () => reprocessOrder(orderNumber, {
+        reason: `Retried from dashboard by ${req.user.username}`,
+        requestedBy: req.user.username,
+    }));
+    redirectWithMessage(res, `Retry started for order ${orderNumber}`);
+}
+
+// POST /dashboard/orders/:orderNumber/resend
+export function resendOrder(req, res) {
+    const { orderNumber } = req.params;
+    runInBackground(`Resend of order ${orderNumber}`, () => resendOrderEmail(orderNumber, {
+        requestedBy: req.user.username,
+    }));
+    redirectWithMessage(res, `Resending the delivery email for order ${orderNumber}`);
+}
+
+// POST /dashboard/orders/:orderNumber/resolve
+export async function resolveOrder(req, res) {
+    const { orderNumber } = req.params;
+    try {
+        await logOrderEvent(orderNumber, `Marked resolved by ${req.user.username}`, {
+            resolvedAt: new Date().toISOString(),
+            resolvedBy: req.user.username,
+        });
+        redirectWithMessage(res, `Order ${orderNumber} marked resolved`);
+    } catch (error) {
+        redirectWithMessage(res, `Could not resolve order ${orderNumber}: ${error.message}`);
+    }
+}
+
+// POST /dashboard/failures/resolve  (form: key)
+export async function resolveFailure(req, res) {
+    const key = req.body?.key;
+    try {
+        let found = false;
+        await updateFailedOrdersTracker(failedOrders => {
+            // Only real failure entries, never skippedFiles or _meta
+            found = getFailureEntries(failedOrders).some(([entryKey]) => entryKey === key);
+            if (found) delete failedOrders[key];
+        });
+        if (!found) {
+            return redirectWithMessage(res, `No failure found for ${key}`);
+        }
+        console.log(`✅ Failure ${key} marked resolved by ${req.user.username}`);
+        redirectWithMessage(res, `Failure for ${key} marked resolved`);
+    } catch (error) {
+        redirectWithMessage(res, `Could not resolve failure ${key}: ${error.message}`);
+    }
+}
+
+// POST /dashboard/skipped/resolve  (form: fileName)
+// The entry is kept (marked resolved) because the CSV stays in the Etsy folder;
+// deleting it would make the next processing cycle track and alert on it again
+export async function resolveSkippedFile(req, res) {
+    const fileName = req.body?.fileName;
+    try {
+        let found = false;
+        await updateFailedOrdersTracker(failedOrders => {
+            const skippedFiles = failedOrders.skippedFiles || {};
+            found = Object.hasOwn(skippedFiles, fileName);
+            const entry = skippedFiles[fileName];
+            if (found) {
+                entry.resolvedAt = new Date().toISOString();
+                entry.resolvedBy = req.user.username;
+            }
+        });
+        if (!found) {
+            return redirectWithMessage(res, `No skipped file named ${fileName}`);
+        }
+        console.log(`✅ Skipped file ${fileName} marked resolved by ${req.user.username}`);
+        redirectWithMessage(res, `Skipped file ${fileName} marked resolved`);
+    } catch (error) {
+        redirectWithMessage(res, `Could not resolve skipped file ${fileName}: ${error.message}`);
+    }
+}
@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import { verifyDownloadToken } from '../services/downloadTokens.js';
+import { getStorage } from '../services/storage/index.js';
+import { loadTracker, recordOrderDownload } from '../services/tracker.js';
+import { downloadBytes } from '../services/metrics.js';
+
+const MESSAGES = {
+    expired: {
+        status: 410,
+        title: 'This download link has expired',
+        body: 'For your security, download links are only valid for 24 hours.',
+    },
+    invalid: {
+        status: 404,
+        title: 'This download link is not valid',
+        body: 'Please check that you copied the complete link from your email.',
+    },
+    limit: {
+        status: 403,
+        title: 'Download limit reached',
+        body: 'The files for this order have already been downloaded the maximum number of times.',
+    },
+};
+
+// Max downloads per order; 0 or unset means unlimited
+function getMaxDownloads() {
+    return parseInt(process.env.MAX_DOWNLOADS_PER_ORDER || '0', 10) || 0;
+}
+
+// Store a salted hash rather than the customer's IP address
+function hashIp(ip) {
+    return crypto
+        .createHash('sha256')
+        .update(`${process.env.DOWNLOAD_TOKEN_SECRET}:${ip}`)
+        .digest('hex')
+        .slice(0, 16);
+}
+
+function renderMessagePage(res, reason) {
+    const { status, title, body } = MESSAGES[reason];
+
+    res.status(status).type('html').send(`
+        <!DOCTYPE html>
+        <html lang="en">
+        <head><meta charset="utf-8"><title>narrARTive – ${title}</title></head>
+        <body style="font-family: sans-serif; max-width: 560px; margin: 64px auto; padding: 0 16px; color: #333;">
+            <h1>${title}</h1>
+            <p>${body}</p>
+            <p>Need a new link? <a href="/recover">Request one here</a> or contact us at <a href="mailto:info@narrartive.de">info@narrartive.de</a> with your order number.</p>
+        </body>
+        </html>
+    `);
+}
+
+export async function handleDownload(req, res) {
+    let orderNumber;
+
+    try {
+        const result = verifyDownloadToken(req.params.token);
+        if (!result.valid) {
+            return renderMessagePage(res, result.reason);
+        }
+
+        const { backend, fileId, fileName } = result.payload;
+        orderNumber = result.payload.orderNumber;
+
+        const storage = getStorage(backend);
+        const file = await storage.getFile(fileId);
+        if (!file) {
+            // The ZIP has already been removed by the 24h cleanup
+            return renderMessagePage(res, 'expired');
+        }
+
+        const maxDownloads = getMaxDownloads();
+        if (maxDownloads > 0) {
+            // Count downloads since the latest email so a resent link starts fresh
+            const tracker = await loadTracker();
+            const order = tracker.orders?.[orderNumber];
+            const since = order?.emailedAt ? new Date(order.emailedAt).getTime() : 0;
+            const downloadCount = (order?.downloads || []).filter(download => new Date(download.at).getTime() >= since).length;
+            if (downloadCount >= maxDownloads) {
+                console.log(`⛔ Download limit (${maxDownloads}) reached for order ${orderNumber}`);
+                return renderMessagePage(res, 'limit');
+            }
+        }
+
+        const stream = await storage.openReadStream(fileId);
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${fileName || `Order_${orderNumber}.zip`}"`,
+            'Cache-Control': 'no-store',
+        });
+
+        stream.on('data', chunk => downloadBytes.inc({ source: 'customer' }, chunk.length));
+        stream.on('error', (error) => {
+            console.error(`❌ Download stream failed for order ${orderNumber}: ${error.message}`);
+            res.destroy(error);
+        });
+        // Only completed transfers count towards the limit
+        res.on('finish', () => {
+            recordOrderDownload(orderNumber, {
+                ipHash: hashIp(req.ip),
+                userAgent: req.get('user-agent') || 'unknown',
+            }).catch(error => {
+                console.error(`❌ Failed to record download for order ${orderNumber}: ${error.message}`);
+            });
+        });
+
+        stream.pipe(res);
+        console.log(`⬇️ Serving download for order ${orderNumber}`);
+    } catch (error) {
+        console.error(`❌ Download failed for order ${orderNumber}: ${error.message}`);
+        if (!res.headersSent) {
+            res.status(500).type('text').send('Download is temporarily unavailable. Please try again later.');
+        }
+    }
+}
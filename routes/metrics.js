@@ -0,0 +1,11 @@
+import { registry } from '../services/metrics.js';
+
+// GET /metrics — Prometheus text exposition format
+export async function getMetrics(req, res) {
+    try {
+        res.set('Content-Type', registry.contentType);
+        res.send(await registry.metrics());
+    } catch (error) {
+        res.status(500).type('text').send(error.message);
+    }
+}
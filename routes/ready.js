@@ -0,0 +1,30 @@
+import { runReadinessChecks } from '../services/readiness.js';
+import { authenticateRequest, hasRole } from '../services/auth.js';
+
+// GET /ready — 200 when every check passes, 503 otherwise (results are cached for READY_CACHE_SECONDS)
+// Anonymous callers (load balancers, probes) only see status and latency per check;
+// viewers and above also get the error messages and details.
+export async function getReadiness(req, res) {
+    try {
+        const { ready, checkedAt, checks } = await runReadinessChecks();
+
+        const user = authenticateRequest(req);
+        const showDetails = user && hasRole(user.role, 'viewer');
+        const visibleChecks = showDetails
+            ? checks
+            : Object.fromEntries(Object.entries(checks).map(([name, { status, latencyMs }]) => [name, { status, latencyMs }]));
+
+        if (!ready) {
+            const failed = Object.keys(checks).filter(name => checks[name].status !== 'ok');
+            console.warn(`⚠️ Readiness check failed: ${failed.join(', ')}`);
+        }
+
+        res.status(ready ? 200 : 503).json({
+            status: ready ? 'ready' : 'not_ready',
+            checkedAt,
+            checks: visibleChecks,
+        });
+    } catch (error) {
+        res.status(503).json({ status: 'not_ready', error: error.message });
+    }
+}
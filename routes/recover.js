@@ -0,0 +1,111 @@
+import { getOrderRecord } from '../services/tracker.js';
+import { isOrderEmailed } from '../services/orderState.js';
+import { resendOrderEmail } from '../services/orders.js';
+import { createAttemptCounter } from '../services/attemptCounter.js';
+
+const BUSY_RETRY_DELAY_MS = 60 * 1000;
+const BUSY_MAX_ATTEMPTS = 3;
+const ATTEMPT_WINDOW_MS = 60 * 60 * 1000;
+
+// Attempts per client IP within the last hour
+const attemptsByIp = createAttemptCounter(ATTEMPT_WINDOW_MS);
+
+function getWindowDays() {
+    return parseInt(process.env.RECOVERY_WINDOW_DAYS || '30', 10);
+}
+
+function getCooldownMs() {
+    return parseInt(process.env.RECOVERY_COOLDOWN_MINUTES || '15', 10) * 60 * 1000;
+}
+
+function getMaxAttemptsPerHour() {
+    return parseInt(process.env.RECOVERY_MAX_ATTEMPTS_PER_HOUR || '5', 10);
+}
+
+function renderRecoveryPage(res, { status = 200, message = null } = {}) {
+    res.status(status).type('html').send(`
+        <!DOCTYPE html>
+        <html lang="en">
+        <head><meta charset="utf-8"><title>narrARTive – Recover your download</title></head>
+        <body style="font-family: sans-serif; max-width: 560px; margin: 64px auto; padding: 0 16px; color: #333;">
+            <h1>Recover your download</h1>
+            ${message
+                ? `<p>${message}</p>`
+                : `<p>Lost your email or your link expired? Enter your Etsy order number and the email address you used at checkout and we'll send a fresh download link and your ZIP password to that address.</p>
+            <form method="post" action="/recover">
+                <p><label>Order number<br><input name="orderNumber" required style="width: 100%; padding: 8px;"></label></p>
+                <p><label>Email<br><input name="email" type="email" required style="width: 100%; padding: 8px;"></label></p>
+                <p><button type="submit" style="background-color: #1AC300; color: white; padding: 12px 24px; border: none; border-radius: 8px;">Send me a new link</button></p>
+            </form>`}
+            <p style="font-size: 12px; color: #666;">Still stuck? Contact us at <a href="mailto:info@narrartive.de">info@narrartive.de</a>.</p>
+        </body>
+        </html>
+    `);
+}
+
+function isRateLimited(ip) {
+    return attemptsByIp.record(ip) > getMaxAttemptsPerHour();
+}
+
+// Decide whether this order may be recovered right now
+function isRecoverable(order, email) {
+    if (!order || !isOrderEmailed(order)) return false;
+    if ((order.buyerEmail || '').trim().toLowerCase() !== email) return false;
+
+    const orderedAt = new Date(order.createdAt || order.emailedAt).getTime();
+    if (Date.now() - orderedAt > getWindowDays() * 24 * 60 * 60 * 1000) return false;
+
+    const lastResend = (order.resends || []).at(-1);
+    return !lastResend || Date.now() - new Date(lastResend.at).getTime() >= getCooldownMs();
+}
+
+// Processing holds the run lock; retry a few times instead of dropping the request
+async function resendInBackground(orderNumber, attempt = 1) {
+    try {
+        const outcome = await resendOrderEmail(orderNumber, { requestedBy: 'customer-portal' });
+        if (outcome.skipped && attempt < BUSY_MAX_ATTEMPTS) {
+            setTimeout(() => resendInBackground(orderNumber, attempt + 1), BUSY_RETRY_DELAY_MS);
+        } else if (outcome.skipped) {
+            console.error(`❌ Portal resend for order ${orderNumber} gave up: ${outcome.reason}`);
+        }
+    } catch (error) {
+        console.error(`❌ Portal resend for order ${orderNumber} failed: ${error.message}`);
+    }
+}
+
+// GET /recover
+export function showRecoveryForm(req, res) {
+    renderRecoveryPage(res);
+}
+
+// POST /recover  (form: orderNumber, email)
+export async function handleRecoveryRequest(req, res) {
+    if (isRateLimited(req.ip)) {
+        return renderRecoveryPage(res, { status: 429, message: 'Too many attempts. Please try again in an hour.' });
+    }
+
+    const orderNumber = String(req.body?.orderNumber || '').trim().replace(/^#/, '');
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    if (!orderNumber || !email) {
+        return renderRecoveryPage(res, { status: 400, message: 'Please enter both your order number and email address.' });
+    }
+
+    try {
+        const order = await getOrderRecord(orderNumber);
+        if (isRecoverable(order, email)) {
+            console.log(`🔑 Customer portal recovery requested for order ${orderNumber}`);
+            resendInBackground(orderNumber);
+        } else {
+            console.log(`🔒 Customer portal recovery refused for order ${orderNumber}`);
+        }
+    } catch (error) {
+        console.error(`❌ Customer portal lookup failed for order ${orderNumber}: ${error.message}`);
+    }
+
+    // Same answer either way so the form can't be used to probe for orders
+    renderRecoveryPage(res, {
+        message: 'If the order number and email match an order from the last ' +
+            `${getWindowDays()} days, a new download link is on its way to that address. ` +
+            'Please also check your spam folder.',
+    });
+}
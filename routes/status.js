@@ -1,15 +1,23 @@
-import { getLastError } from '../services/errorTracker.js';
+import { getLastError, getErrorCounts, getErrorHistory } from '../services/errorTracker.js';
+import { getRunLockStatus } from '../services/runLock.js';
 
+const MAX_RECENT_ERRORS = 100;
+
+// GET /status?errors=N — trackerCache is the processedOrders map (CSV filename → order numbers)
 export async function getStatus(req, res, trackerCache) {
     const fileCount = Object.keys(trackerCache).length;
     const latestFile = fileCount > 0 ? Object.keys(trackerCache).sort().pop() : 'None';
 
     const lastError = getLastError();
+    const errorLimit = Math.min(Math.max(parseInt(req.query.errors, 10) || 20, 1), MAX_RECENT_ERRORS);
 
     res.json({
         status: 'ok',
         trackedFiles: fileCount,
         lastOrderProcessed: latestFile,
+        processing: getRunLockStatus(),
         lastError,
+        errorCounts: getErrorCounts(),
+        recentErrors: getErrorHistory({ limit: errorLimit, category: req.query.category }),
     });
 }
@@ -0,0 +1,35 @@
+/**
+ * ✅ Counts attempts per key (e.g. client IP) within a sliding window
+ * In memory, so counts reset on restart. Keys with no attempts inside the
+ * window are dropped on every record, so the map stays bounded.
+ * @param {number} windowMs
+ * @returns {{ count: (key: string) => number, record: (key: string) => number, clear: (key: string) => void }}
+ */
+export function createAttemptCounter(windowMs) {
+    const attemptsByKey = new Map();
+
+    function recentAttempts(key, now) {
+        return (attemptsByKey.get(key) || []).filter(at => now - at < windowMs);
+    }
+
+    return {
+        count(key) {
+            return recentAttempts(key, Date.now()).length;
+        },
+        // Returns the number of attempts in the window, including this one
+        record(key) {
+            const now = Date.now();
+            for (const [knownKey, attempts] of attemptsByKey) {
+                if (now - attempts.at(-1) >= windowMs) attemptsByKey.delete(knownKey);
+            }
+
+            const recent = recentAttempts(key, now);
+            recent.push(now);
+            attemptsByKey.set(key, recent);
+            return recent.length;
+        },
+        clear(key) {
+            attemptsByKey.delete(key);
+        },
+    };
+}
@@ -0,0 +1,132 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { getSessionUser } from "./sessions.js";
+
+dotenv.config();
+
+/**
+ * Roles in increasing order of privilege:
+ *   viewer   – read status, runs and the dashboard
+ *   operator – also trigger runs, retry/reprocess and resend orders
+ *   admin    – also pause/resume scheduled jobs
+ */
+export const ROLES = Object.freeze(["viewer", "operator", "admin"]);
+
+function safeEqual(a, b) {
+    const left = crypto.createHash("sha256").update(String(a)).digest();
+    const right = crypto.createHash("sha256").update(String(b)).digest();
+    return crypto.timingSafeEqual(left, right);
+}
+
+// Parses "name:role:secret,name:role:secret" (the secret may itself contain ':')
+function parseCredentialList(value, source) {
+    return (value || "")
+        .split(",")
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [name, role, ...secret] = entry.split(":");
+            if (!ROLES.includes(role) || secret.length === 0) {
+                console.error(`⚠️ Ignoring malformed ${source} entry for "${name}"`);
+                return null;
+            }
+            return { username: name, role, secret: secret.join(":") };
+        })
+        .filter(Boolean);
+}
+
+// API_KEYS plus the single-key ADMIN_API_KEY shorthand
+function getApiKeys() {
+    const keys = parseCredentialList(process.env.API_KEYS, "API_KEYS");
+    if (process.env.ADMIN_API_KEY) {
+        keys.push({ username: "admin-api-key", role: "admin", secret: process.env.ADMIN_API_KEY });
+    }
+    return keys;
+}
+
+// DASHBOARD_USERS plus the single-user DASHBOARD_USERNAME / DASHBOARD_PASSWORD shorthand
+function getUsers() {
+    const users = parseCredentialList(process.env.DASHBOARD_USERS, "DASHBOARD_USERS");
+    if (process.env.DASHBOARD_USERNAME && process.env.DASHBOARD_PASSWORD) {
+        users.push({ username: process.env.DASHBOARD_USERNAME, role: "admin", secret: process.env.DASHBOARD_PASSWORD });
+    }
+    return users;
+}
+
+/**
+ * ✅ Whether `role` grants at least `requiredRole`
+ */
+export function hasRole(role, requiredRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole) && ROLES.includes(role);
+}
+
+/**
+ * ✅ Checks a dashboard username and password
+ * @returns {{ username: string, role: string }|null}
+ */
+export function verifyUserCredentials(username, password) {
+    let match = null;
+    // Compare against every user so timing doesn't reveal which usernames exist
+    for (const user of getUsers()) {
+        const userMatches = safeEqual(username || "", user.username);
+        const passwordMatches = safeEqual(password || "", user.secret);
+        if (userMatches && passwordMatches && !match) {
+            match = { username: user.username, role: user.role };
+        }
+    }
+    return match;
+}
+
+/**
+ * ✅ Identifies the caller from an API key or a dashboard session
+ * API keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+ * @param {import('express').Request} req
+ * @returns {{ username: string, role: string, via: "api-key"|"session" }|null}
+ */
+export function authenticateRequest(req) {
+    const header = req.get("authorization") || "";
+    const providedKey = header.startsWith("Bearer ") ? header.slice(7) : req.get("x-api-key");
+
+    if (providedKey) {
+        const key = getApiKeys().find(entry => safeEqual(providedKey, entry.secret));
+        return key ? { username: key.username, role: key.role, via: "api-key" } : null;
+    }
+
+    // Roles are looked up on every request so removing a user ends their sessions
+    const sessionUser = getSessionUser(req);
+    const user = sessionUser && getUsers().find(entry => entry.username === sessionUser.username);
+    return user ? { username: user.username, role: user.role, via: "session" } : null;
+}
+
+/**
+ * ✅ Express middleware requiring at least `requiredRole`
+ * Sets `req.user`. Unauthenticated requests get a 401 JSON error, or a redirect
+ * to `loginPath` for browser pages; insufficient roles get a 403.
+ * @param {string} requiredRole - One of ROLES
+ * @param {{ loginPath?: string }} [options]
+ */
+export function requireRole(requiredRole, { loginPath } = {}) {
+    if (!ROLES.includes(requiredRole)) {
+        throw new Error(`❌ Unknown role: ${requiredRole}`);
+    }
+
+    return (req, res, next) => {
+        const user = authenticateRequest(req);
+
+        if (!user) {
+            if (loginPath) return res.redirect(303, loginPath);
+            return res.status(401).json({ status: "error", error: "Unauthorized" });
+        }
+
+        if (!hasRole(user.role, requiredRole)) {
+            console.log(`⛔ ${user.username} (${user.role}) denied ${req.method} ${req.path}`);
+            if (loginPath) {
+                return res.status(403).type("text").send(`Your role (${user.role}) cannot perform this action.`);
+            }
+            return res.status(403).json({ status: "error", error: `Requires ${requiredRole} role` });
+        }
+
+        req.user = user;
+        next();
+    };
+}
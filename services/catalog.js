@@ -0,0 +1,155 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { getStorage } from "./storage/index.js";
+import { ensureDirectoryExists } from "./fileUtils.js";
+import { reportError, ERROR_CATEGORIES } from "./errorTracker.js";
+
+dotenv.config();
+
+/**
+ * Product catalog: maps Etsy order rows to product folders, so a renamed
+ * Etsy listing keeps delivering the right files.
+ *
+ * Loaded from CATALOG_PATH (a local JSON file) or CATALOG_FILE_ID (a JSON
+ * file in the storage backend, e.g. on Drive next to the products):
+ *
+ *   {
+ *     "products": [
+ *       {
+ *         "name": "Sample Print",
+ *         "listingIds": ["1234567890"],
+ *         "skus": ["NA-SAMPLE"],
+ *         "titlePatterns": ["^Sample Print\\b"],
+ *         "folderId": "<product folder ID>",
+ *         "files": ["Sample Print A2.png"]
+ *       }
+ *     ]
+ *   }
+ *
+ * Rows are matched by "Listing ID", then "SKU", then the title patterns
+ * (case-insensitive regular expressions against "Product Name"). `files` is
+ * optional and limits the delivery to those file names in the size folder.
+ * Rows that match nothing fall back to the folder name lookup.
+ */
+
+const REFRESH_MS = parseInt(process.env.CATALOG_REFRESH_MINUTES || "5", 10) * 60 * 1000;
+
+let cache = { entries: [], loadedAt: 0 };
+
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+}
+
+// Drop entries that could never be used, compiling title patterns once
+function normalizeEntries(products) {
+    if (!Array.isArray(products)) {
+        throw new Error('Catalog must have a "products" array');
+    }
+
+    return products.flatMap((product, index) => {
+        const label = product?.name || `#${index + 1}`;
+        if (!product?.folderId) {
+            console.warn(`⚠️ Catalog entry ${label} has no folderId - ignoring it`);
+            return [];
+        }
+
+        const titlePatterns = toList(product.titlePatterns).flatMap(pattern => {
+            try {
+                return [new RegExp(pattern, "i")];
+            } catch (error) {
+                console.warn(`⚠️ Catalog entry ${label} has an invalid title pattern "${pattern}": ${error.message}`);
+                return [];
+            }
+        });
+
+        const entry = {
+            name: product.name || product.folderId,
+            folderId: product.folderId,
+            listingIds: toList(product.listingIds),
+            skus: toList(product.skus),
+            titlePatterns,
+            files: toList(product.files),
+        };
+
+        if (!entry.listingIds.length && !entry.skus.length && !entry.titlePatterns.length) {
+            console.warn(`⚠️ Catalog entry ${label} has no listingIds, skus or titlePatterns - ignoring it`);
+            return [];
+        }
+        return [entry];
+    });
+}
+
+async function readCatalogSource() {
+    if (process.env.CATALOG_PATH) {
+        const catalogPath = path.resolve(process.env.CATALOG_PATH);
+        return JSON.parse(fs.readFileSync(catalogPath, "utf-8"));
+    }
+
+    const tempPath = path.join(ensureDirectoryExists("./data"), ".download_catalog.json");
+    try {
+        await getStorage().downloadFile(process.env.CATALOG_FILE_ID, tempPath, { mimeType: "application/json" });
+        return JSON.parse(fs.readFileSync(tempPath, "utf-8"));
+    } finally {
+        if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    }
+}
+
+/**
+ * ✅ Whether a catalog is configured (CATALOG_PATH or CATALOG_FILE_ID)
+ */
+export function isCatalogConfigured() {
+    return Boolean(process.env.CATALOG_PATH || process.env.CATALOG_FILE_ID);
+}
+
+/**
+ * ✅ Loads the catalog, re-reading it at most every CATALOG_REFRESH_MINUTES
+ * A catalog that fails to load keeps the previous entries, so a bad edit
+ * doesn't stop deliveries that the name lookup can still handle.
+ * @param {{ force?: boolean }} [options]
+ * @returns {Promise<Array<{ name: string, folderId: string, listingIds: string[], skus: string[], titlePatterns: RegExp[], files: string[] }>>}
+ */
+export async function loadCatalog({ force = false } = {}) {
+    if (!isCatalogConfigured()) return [];
+    if (!force && cache.loadedAt && Date.now() - cache.loadedAt < REFRESH_MS) {
+        return cache.entries;
+    }
+
+    try {
+        const catalog = await readCatalogSource();
+        cache = { entries: normalizeEntries(catalog?.products), loadedAt: Date.now() };
+        console.log(`📒 Loaded product catalog (${cache.entries.length} products)`);
+    } catch (error) {
+        console.error(`❌ Failed to load product catalog: ${error.message}`);
+        reportError(ERROR_CATEGORIES.ORDER, error, { operation: "load-catalog" });
+        // Try again after the refresh interval rather than on every product lookup
+        cache = { ...cache, loadedAt: Date.now() };
+    }
+    return cache.entries;
+}
+
+/**
+ * ✅ Finds the catalog entry for an Etsy order row
+ * @param {Object} orderData - CSV row ("Listing ID", "SKU", "Product Name")
+ * @returns {Promise<{ entry: Object, matchedBy: "listingId"|"sku"|"title" }|null>}
+ */
+export async function findCatalogEntry(orderData) {
+    const entries = await loadCatalog();
+    if (entries.length === 0) return null;
+
+    const listingId = String(orderData["Listing ID"] || "").trim();
+    const sku = String(orderData["SKU"] || "").trim();
+    const title = String(orderData["Product Name"] || "");
+
+    const byListing = listingId && entries.find(entry => entry.listingIds.includes(listingId));
+    if (byListing) return { entry: byListing, matchedBy: "listingId" };
+
+    const bySku = sku && entries.find(entry => entry.skus.includes(sku));
+    if (bySku) return { entry: bySku, matchedBy: "sku" };
+
+    const byTitle = title && entries.find(entry => entry.titlePatterns.some(pattern => pattern.test(title)));
+    if (byTitle) return { entry: byTitle, matchedBy: "title" };
+
+    return null;
+}
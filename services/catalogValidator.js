@@ -0,0 +1,164 @@
+import path from "path";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { getStorage } from "./storage/index.js";
+import { getThankYouCardId } from "./driveUtils.js";
+import { walkProductTree, getRecognisedSizeFolders } from "./productTree.js";
+import { getMappedSizeFolders } from "./variations.js";
+import { extractCoreProductName } from "./orders.js";
+import { isCatalogConfigured, loadCatalog } from "./catalog.js";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+
+/**
+ * Audits the product tree under NARRARTIVE_FOLDER_ID (see productTree.js) so broken products are
+ * found before a customer orders them rather than in processOrderProduct.
+ *
+ * Issues are "error" when an order for the product would fail, and "warning"
+ * when it would be delivered but something looks off.
+ */
+
+function createReport() {
+    const issues = [];
+    return {
+        issues,
+        add(severity, type, message, details = {}) {
+            issues.push({ severity, type, message, ...details });
+        },
+    };
+}
+
+// A folder name can only be found if some Etsy title reduces to exactly that name
+function isMatchableName(name) {
+    return name === name.trim() && extractCoreProductName(name) === name;
+}
+
+async function validateProduct(report, product, catalogFolderIds) {
+    const sizes = getRecognisedSizeFolders();
+    const details = { collection: product.collection, product: product.path, folderId: product.id };
+
+    if (product.children.length === 0) {
+        report.add("error", "empty-folder", `Product folder "${product.path}" is empty`, details);
+        return;
+    }
+
+    // Buyers can pick any size, so every recognised size folder must have files
+    const sizeFolders = sizes
+        .map(size => product.children.find(child => child.isFolder && child.name === size))
+        .filter(Boolean);
+
+    if (sizeFolders.length === 0) {
+        report.add("error", "missing-size-folder",
+            `Product "${product.path}" has no size folder (expected one of ${sizes.join(", ")})`, details);
+    }
+
+    if (!isMatchableName(product.name) && !catalogFolderIds.has(product.id)) {
+        report.add("warning", "unmatchable-name",
+            `"${product.name}" can never match an Etsy title: names are cut at the first " - " and trimmed`, details);
+    }
+
+    for (const sizeFolder of sizeFolders) {
+        const files = (await getStorage().listFolder(sizeFolder.id)).filter(file => !file.isFolder);
+        if (files.length > 0) continue;
+
+        report.add("error", "empty-size-folder",
+            `Size folder "${sizeFolder.name}" of "${product.path}" has no files`, { ...details, size: sizeFolder.name });
+    }
+
+    // Not every listing offers every size, so a missing mapped size is only a warning
+    if (sizeFolders.length > 0) {
+        for (const size of getMappedSizeFolders()) {
+            if (sizeFolders.some(sizeFolder => sizeFolder.name === size)) continue;
+            report.add("warning", "missing-mapped-size",
+                `Product "${product.path}" has no "${size}" folder; orders selecting that size will fail`, { ...details, size });
+        }
+    }
+}
+
+/**
+ * ✅ Walks every collection and product folder and reports problems
+ * @returns {Promise<{ ok: boolean, checkedAt: string, collections: number, products: number, errors: number, warnings: number, issues: Array<{ severity: "error"|"warning", type: string, message: string }> }>}
+ */
+export async function validateCatalog() {
+    const report = createReport();
+    const tree = await walkProductTree();
+
+    const catalogEntries = isCatalogConfigured() ? await loadCatalog({ force: true }) : [];
+    const catalogFolderIds = new Set(catalogEntries.map(entry => entry.folderId));
+
+    for (const collection of tree.missingCollections) {
+        report.add("warning", "missing-collection", `Collection "${collection}" not found in the product folder`, { collection });
+    }
+    for (const folder of tree.tooDeep) {
+        report.add("warning", "too-deep",
+            `"${folder.path}" is nested deeper than PRODUCT_TREE_MAX_DEPTH and is never searched`, { folderId: folder.id });
+    }
+    for (const collection of tree.collections) {
+        const isInside = (product) => !collection.path
+            || product.collection === collection.path
+            || product.collection.startsWith(`${collection.path}/`);
+        if (!tree.products.some(isInside)) {
+            report.add("warning", "empty-folder", `Collection "${collection.path || "(root)"}" has no product folders`, { collection: collection.path });
+        }
+    }
+
+    const firstSeen = new Map(); // product name → the product that orders get
+    for (const product of tree.products) {
+        const first = firstSeen.get(product.name);
+        if (first) {
+            const sameCollection = first.collection === product.collection;
+            report.add(sameCollection ? "error" : "warning", "duplicate", sameCollection
+                ? `"${product.path}" exists more than once; which one is delivered is undefined`
+                : `"${product.path}" is also at "${first.path}", so this copy is never delivered`,
+            { collection: product.collection, product: product.path, folderId: product.id });
+            if (!sameCollection) continue;
+        } else {
+            firstSeen.set(product.name, product);
+        }
+
+        await validateProduct(report, product, catalogFolderIds);
+    }
+
+    try {
+        await getThankYouCardId();
+    } catch (error) {
+        report.add("error", "missing-thank-you-card", error.message, { folderId: process.env.THANK_YOU_FOLDER_ID });
+    }
+
+    for (const entry of catalogEntries) {
+        const folder = await getStorage().getFile(entry.folderId);
+        if (!folder?.isFolder) {
+            report.add("error", "catalog-folder-missing",
+                `Catalog product "${entry.name}" points at a folder that does not exist`, { product: entry.name, folderId: entry.folderId });
+        }
+    }
+
+    const errors = report.issues.filter(issue => issue.severity === "error").length;
+    return {
+        ok: errors === 0,
+        checkedAt: new Date().toISOString(),
+        collections: tree.collections.length,
+        products: tree.products.length,
+        errors,
+        warnings: report.issues.length - errors,
+        issues: report.issues,
+    };
+}
+
+// npm run validate:catalog — prints the report and exits non-zero on errors
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    validateCatalog()
+        .then(result => {
+            for (const issue of result.issues) {
+                console.log(`${issue.severity === "error" ? "❌" : "⚠️"} [${issue.type}] ${issue.message}`);
+            }
+            console.log(`${result.ok ? "✅" : "❌"} Checked ${result.products} products in ${result.collections} collections: ${result.errors} errors, ${result.warnings} warnings`);
+            process.exit(result.ok ? 0 : 1);
+        })
+        .catch(error => {
+            console.error(`❌ Catalog validation failed: ${error.message}`);
+            process.exit(1);
+        });
+}
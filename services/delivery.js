@@ -0,0 +1,189 @@
+import dotenv from "dotenv";
+import path from "path";
+import { getStorage } from "./storage/index.js";
+import { createDownloadToken } from "./downloadTokens.js";
+import { reportError, ERROR_CATEGORIES } from "./errorTracker.js";
+import { cleanupDeletions } from "./metrics.js";
+
+dotenv.config();
+
+const DELIVERY_RETENTION_MS = 24 * 60 * 60 * 1000; // Links promised to customers last 24 hours
+
+/**
+ * ✅ Returns the backend name completed order ZIPs are delivered through
+ * DELIVERY_BACKEND defaults to STORAGE_BACKEND, i.e. COMPLETED_ORDERS_FOLDER_ID.
+ * S3 deliveries get presigned links that expire with the retention window.
+ */
+export function getDeliveryBackend() {
+    return process.env.DELIVERY_BACKEND || process.env.STORAGE_BACKEND || "google-drive";
+}
+
+/**
+ * ✅ Returns the folder completed order ZIPs are uploaded to on the delivery backend
+ */
+export function getDeliveryFolderId(backend = getDeliveryBackend()) {
+    if (backend === "mega") {
+        return process.env.MEGA_DELIVERY_FOLDER || "narrARTive Deliveries";
+    }
+    if (backend === "s3") {
+        return process.env.S3_DELIVERY_PREFIX || "completed-orders";
+    }
+
+    const folderId = process.env.COMPLETED_ORDERS_FOLDER_ID;
+    if (!folderId) throw new Error("COMPLETED_ORDERS_FOLDER_ID is missing in .env");
+    return folderId;
+}
+
+/**
+ * ✅ Whether customer links point at our own /download route
+ * DELIVERY_LINK_MODE=self-hosted signs a token instead of using the backend's share link.
+ */
+export function isSelfHostedDelivery() {
+    return process.env.DELIVERY_LINK_MODE === "self-hosted";
+}
+
+/**
+ * ✅ Builds the link a customer uses to download a delivered ZIP
+ * @param {{ backend: string, fileId: string, orderNumber: string, fileName: string }} delivery
+ * @returns {Promise<string>}
+ */
+export async function createDeliveryLink({ backend, fileId, orderNumber, fileName }) {
+    if (isSelfHostedDelivery()) {
+        const token = createDownloadToken({ orderNumber, backend, fileId, fileName }, DELIVERY_RETENTION_MS);
+        const baseUrl = (process.env.PUBLIC_BASE_URL || "http://localhost:3000").replace(/\/+$/, "");
+        return `${baseUrl}/download/${token}`;
+    }
+
+    return getStorage(backend).getShareLink(fileId, {
+        expiresInSeconds: DELIVERY_RETENTION_MS / 1000,
+    });
+}
+
+/**
+ * ✅ Uploads a finished order ZIP to the delivery backend
+ * @param {string} zipPath - Local path of Order_<n>.zip
+ * @param {string} orderNumber
+ * @returns {Promise<{ backend: string, fileId: string, downloadLink: string }>}
+ */
+export async function deliverOrderZip(zipPath, orderNumber) {
+    const backend = getDeliveryBackend();
+    const storage = getStorage(backend);
+    const fileName = path.basename(zipPath);
+
+    let fileId;
+    try {
+        fileId = await storage.uploadFile(zipPath, getDeliveryFolderId(backend), { mimeType: "application/zip" });
+    } catch (err) {
+        reportError(ERROR_CATEGORIES.DELIVERY, err, { backend, orderNumber });
+        throw err;
+    }
+    if (!fileId) {
+        throw new Error(`❌ Failed to upload ZIP file to ${backend}`);
+    }
+    console.log(`📦 Uploaded ${fileId} to ${backend} delivery storage`);
+
+    const downloadLink = await createDeliveryLink({ backend, fileId, orderNumber, fileName });
+    return { backend, fileId, downloadLink };
+}
+
+/**
+ * ✅ Reuses a ZIP that was already uploaded for an order, if it still exists
+ * @param {string} orderNumber
+ * @param {{ deliveryBackend: string, zipFileId: string }} order - Tracker order record
+ * @returns {Promise<{ backend: string, fileId: string, downloadLink: string }|null>}
+ */
+export async function reuseDelivery(orderNumber, { deliveryBackend, zipFileId }) {
+    if (!deliveryBackend || !zipFileId) return null;
+
+    const file = await getStorage(deliveryBackend).getFile(zipFileId);
+    if (!file || file.trashed) {
+        console.log(`ℹ️ Previously uploaded ZIP for order ${orderNumber} is gone`);
+        return null;
+    }
+
+    const downloadLink = await createDeliveryLink({
+        backend: deliveryBackend,
+        fileId: zipFileId,
+        orderNumber,
+        fileName: file.name,
+    });
+    return { backend: deliveryBackend, fileId: zipFileId, downloadLink };
+}
+
+/**
+ * ✅ Downloads an order's delivered ZIP, if it is still on the delivery backend
+ * @param {{ deliveryBackend: string, zipFileId: string }} order - Tracker order record
+ * @param {string} destPath
+ * @returns {Promise<boolean>} Whether the ZIP was found
+ */
+export async function fetchDeliveredZip({ deliveryBackend, zipFileId }, destPath) {
+    if (!deliveryBackend || !zipFileId) return false;
+
+    const storage = getStorage(deliveryBackend);
+    const file = await storage.getFile(zipFileId);
+    if (!file || file.trashed) return false;
+
+    await storage.downloadFile(zipFileId, destPath);
+    return true;
+}
+
+/**
+ * ✅ Removes a previously delivered ZIP (e.g. after it was re-uploaded with a fresh expiry)
+ */
+export async function deleteDeliveredZip({ deliveryBackend, zipFileId }) {
+    if (!deliveryBackend || !zipFileId) return;
+
+    try {
+        await getStorage(deliveryBackend).deleteFile(zipFileId);
+    } catch (err) {
+        console.error(`⚠️ Failed to delete old ZIP ${zipFileId} from ${deliveryBackend}: ${err.message}`);
+        reportError(ERROR_CATEGORIES.DELIVERY, err, { backend: deliveryBackend, fileId: zipFileId });
+    }
+}
+
+// Delete files older than the retention window from one delivery location
+async function cleanupDeliveryFolder(backend, folderId) {
+    const storage = getStorage(backend);
+    const files = await storage.listFolder(folderId);
+
+    const threshold = Date.now() - DELIVERY_RETENTION_MS;
+    let deleted = 0;
+    for (const file of files) {
+        const createdTime = new Date(file.createdTime).getTime();
+        if (createdTime < threshold) {
+            await storage.deleteFile(file.id);
+            deleted++;
+            cleanupDeletions.inc({ backend });
+            console.log(`🧹 Deleted old completed order file from ${backend}: ${file.name} (${file.id})`);
+        }
+    }
+    return deleted;
+}
+
+/**
+ * 🧹 Cleanup old completed files (older than 24h)
+ * Always sweeps COMPLETED_ORDERS_FOLDER_ID, plus the delivery backend's folder
+ * when deliveries go elsewhere (e.g. MEGA).
+ * @returns {Promise<{ deletedFiles: number, failures: Array<{ backend: string, error: string }> }>}
+ */
+export async function cleanupOldCompletedOrders() {
+    const primaryBackend = process.env.STORAGE_BACKEND || "google-drive";
+    const locations = [[primaryBackend, getDeliveryFolderId(primaryBackend)]];
+
+    const deliveryBackend = getDeliveryBackend();
+    if (deliveryBackend !== primaryBackend) {
+        locations.push([deliveryBackend, getDeliveryFolderId(deliveryBackend)]);
+    }
+
+    const summary = { deletedFiles: 0, failures: [] };
+    for (const [backend, folderId] of locations) {
+        try {
+            summary.deletedFiles += await cleanupDeliveryFolder(backend, folderId);
+        } catch (err) {
+            console.error(`❌ Cleanup failed for ${backend}:`, err);
+            reportError(ERROR_CATEGORIES.DELIVERY, err, { backend, operation: "cleanup" });
+            summary.failures.push({ backend, error: err.message });
+        }
+    }
+    return summary;
+}
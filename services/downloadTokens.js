@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+function getSecret(envVar) {
+    const secret = process.env[envVar];
+    if (!secret) {
+        throw new Error(`❌ ${envVar} is not defined`);
+    }
+    return secret;
+}
+
+function sign(encodedPayload, secretEnvVar) {
+    return crypto.createHmac("sha256", getSecret(secretEnvVar)).update(encodedPayload).digest("base64url");
+}
+
+/**
+ * ✅ Creates a signed, time-limited token
+ * @param {Object} payload
+ * @param {number} ttlMs - How long the token stays valid
+ * @param {string} secretEnvVar - Env var holding the HMAC secret
+ * @returns {string}
+ */
+export function createSignedToken(payload, ttlMs, secretEnvVar) {
+    const encodedPayload = Buffer.from(JSON.stringify({
+        ...payload,
+        exp: Date.now() + ttlMs,
+    })).toString("base64url");
+
+    return `${encodedPayload}.${sign(encodedPayload, secretEnvVar)}`;
+}
+
+/**
+ * ✅ Verifies a token created by createSignedToken
+ * Tokens are always invalid while the secret is unset, so public routes never throw.
+ * @param {string} token
+ * @param {string} secretEnvVar
+ * @returns {{ valid: true, payload: Object } | { valid: false, reason: "invalid"|"expired" }}
+ */
+export function verifySignedToken(token, secretEnvVar) {
+    const [encodedPayload, signature] = String(token || "").split(".");
+    if (!encodedPayload || !signature || !process.env[secretEnvVar]) {
+        return { valid: false, reason: "invalid" };
+    }
+
+    const expected = Buffer.from(sign(encodedPayload, secretEnvVar));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { valid: false, reason: "invalid" };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf-8"));
+    } catch {
+        return { valid: false, reason: "invalid" };
+    }
+
+    if (!payload.exp || payload.exp < Date.now()) {
+        return { valid: false, reason: "expired" };
+    }
+
+    return { valid: true, payload };
+}
+
+/**
+ * ✅ Creates a signed, time-limited download token
+ * @param {Object} payload - { orderNumber, backend, fileId, fileName }
+ * @param {number} ttlMs - How long the token stays valid
+ * @returns {string}
+ */
+export function createDownloadToken(payload, ttlMs) {
+    return createSignedToken(payload, ttlMs, "DOWNLOAD_TOKEN_SECRET");
+}
+
+/**
+ * ✅ Verifies a download token
+ * @param {string} token
+ * @returns {{ valid: true, payload: Object } | { valid: false, reason: "invalid"|"expired" }}
+ */
+export function verifyDownloadToken(token) {
+    return verifySignedToken(token, "DOWNLOAD_TOKEN_SECRET");
+}
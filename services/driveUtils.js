@@ -1,47 +1,33 @@
 import fs from "fs";
 import path from "path"; // ✅ Also import path for handling file paths
-import { google } from "googleapis";
 import dotenv from "dotenv";
+import { getStorage } from "./storage/index.js";
+import { reportError, ERROR_CATEGORIES } from "./errorTracker.js";
+import { downloadBytes } from "./metrics.js";
+import { findProductInTree, getSizeFolders } from "./productTree.js";
 
 dotenv.config();
 
-// ✅ Ensure Google Auth uses your service account credentials
-const auth = new google.auth.JWT({
-    email: process.env.GOOGLE_CLIENT_EMAIL,
-    key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, "\n"), // ✅ Fix \n issue
-    scopes: ["https://www.googleapis.com/auth/drive"],
-});
-
-const drive = google.drive({ version: "v3", auth });
-
 export async function getSubfolderId(parentFolderId, subfolderName) {
-    const response = await drive.files.list({
-        q: `'${parentFolderId}' in parents and name='${subfolderName}' and mimeType='application/vnd.google-apps.folder' and trashed=false`,
-        fields: 'files(id, name)'
-    });
-
-    return response.data.files.length ? response.data.files[0].id : null;
+    return getStorage().findSubfolder(parentFolderId, subfolderName);
 }
 
+// Searches PRODUCT_COLLECTIONS (or every collection under NARRARTIVE_FOLDER_ID), including nested ones
 export async function findProductFolder(productName) {
-    const rootFolderId = process.env.NARRARTIVE_FOLDER_ID;
-    const collections = ["Digital Art", "Bonus Collection"];
-
-    for (const collection of collections) {
-        const collectionId = await getSubfolderId(rootFolderId, collection);
-        if (!collectionId) continue;
+    return findProductInTree(productName);
+}
 
-        const productFolderId = await getSubfolderId(collectionId, productName);
-        if (productFolderId) return productFolderId;
+// `size` is the folder the buyer selected; without one the first of getSizeFolders() found is used
+export async function findSizeFolder(productFolderId, size = null) {
+    if (size) {
+        const folderId = await getSubfolderId(productFolderId, size);
+        if (!folderId) {
+            console.error(`❌ Size folder "${size}" not found inside product folder`);
+        }
+        return folderId;
     }
 
-    return null;
-}
-
-export async function findSizeFolder(productFolderId) {
-    const sizeFolders = ["40x40", "A2"];
-    
-    for (const size of sizeFolders) {
+    for (const size of getSizeFolders()) {
         const folderId = await getSubfolderId(productFolderId, size);
         if (folderId) {
             return folderId;
@@ -52,14 +38,9 @@ export async function findSizeFolder(productFolderId) {
     return null;
 }
 
-export async function listFilesInFolder(folderId) {
+export async function listFilesInFolder(folderId, filter = {}) {
     try {
-        const response = await drive.files.list({
-            q: `'${folderId}' in parents and trashed = false`,
-            fields: 'files(id, name)',
-        });
-
-        const files = response.data.files;
+        const files = await getStorage().listFolder(folderId, filter);
         if (!files || files.length === 0) {
             console.log(`❌ No files found in folder ID: ${folderId}`);
             return [];
@@ -68,45 +49,41 @@ export async function listFilesInFolder(folderId) {
         return files;
     } catch (error) {
         console.error(`❌ Error listing files in folder ID: ${folderId}: ${error.message}`);
+        reportError(ERROR_CATEGORIES.DRIVE, error, { operation: "list", folderId });
         throw error;
     }
 }
 
-export async function downloadFileFromDrive(fileId, destinationPath) {
+export async function downloadFileFromDrive(fileId, destinationPath, options = {}) {
     try {
-        const response = await drive.files.get(
-            { fileId: fileId, alt: 'media' },
-            { responseType: 'stream' }
-        );
-
-        // Remove existing file if it exists
-        if (fs.existsSync(destinationPath)) {
-            fs.unlinkSync(destinationPath);
-        }
+        await getStorage().downloadFile(fileId, destinationPath, options);
+        downloadBytes.inc({ source: "storage" }, fs.statSync(destinationPath).size);
 
-        const dest = fs.createWriteStream(destinationPath);
-        response.data.pipe(dest);
-
-        return new Promise((resolve, reject) => {
-            dest.on('finish', () => {
-                // Use exact filename from the path without any modifications
-                const fileName = path.basename(destinationPath);
-                console.log(`✅ Downloaded file: ${fileName}`);
-                resolve();
-            });
-            dest.on('error', reject);
-        });
+        // Use exact filename from the path without any modifications
+        const fileName = path.basename(destinationPath);
+        console.log(`✅ Downloaded file: ${fileName}`);
     } catch (error) {
         console.error(`❌ Error downloading file: ${error.message}`);
+        reportError(ERROR_CATEGORIES.DRIVE, error, { operation: "download", fileId });
         throw error;
     }
 }
 
-export async function downloadAllFilesInFolder(folderId, destinationFolder) {
+// `fileNames` limits the download to those files and fails if any of them is missing
+export async function downloadAllFilesInFolder(folderId, destinationFolder, fileNames = null) {
     const files = await listFilesInFolder(folderId);
     const downloadedFiles = [];
 
+    if (fileNames?.length) {
+        const missing = fileNames.filter(name => !files.some(file => file.name === name && !file.isFolder));
+        if (missing.length > 0) {
+            throw new Error(`Missing deliverable files in folder ${folderId}: ${missing.join(", ")}`);
+        }
+    }
+
     for (const file of files) {
+        if (file.isFolder) continue;
+        if (fileNames?.length && !fileNames.includes(file.name)) continue;
         const filePath = path.join(destinationFolder, file.name);
         await downloadFileFromDrive(file.id, filePath);
         downloadedFiles.push(filePath);
@@ -115,75 +92,67 @@ export async function downloadAllFilesInFolder(folderId, destinationFolder) {
     return downloadedFiles;
 }
 
-export async function uploadFileToDrive(filePath, parentFolderId) {
+export async function uploadFileToDrive(filePath, parentFolderId, options = {}) {
     try {
-        const response = await drive.files.create({
-            requestBody: {
-                name: path.basename(filePath),
-                parents: [parentFolderId]
-            },
-            media: {
-                mimeType: 'application/octet-stream',
-                body: fs.createReadStream(filePath)
-            }
-        });
-
-        return response.data.id;
+        return await getStorage().uploadFile(filePath, parentFolderId, options);
     } catch (error) {
         console.error(`❌ Error uploading file: ${error.message}`);
+        reportError(ERROR_CATEGORIES.DRIVE, error, { operation: "upload", fileName: path.basename(filePath) });
         throw error;
     }
 }
 
 export async function moveFileToFolder(fileId, newParentId, oldParentId) {
     try {
-        await drive.files.update({
-            fileId,
-            addParents: newParentId,
-            removeParents: oldParentId,
-            fields: "id, parents",
-        });
+        await getStorage().moveFile(fileId, newParentId, oldParentId);
         console.log(`✅ Moved file ${fileId} to new folder`);
         return true;
     } catch (error) {
         console.error(`❌ Failed to move file: ${error.message}`);
+        reportError(ERROR_CATEGORIES.DRIVE, error, { operation: "move", fileId });
         return false;
     }
 }
 
+export async function deleteFileFromDrive(fileId) {
+    try {
+        await getStorage().deleteFile(fileId);
+    } catch (error) {
+        console.error(`❌ Failed to delete file ${fileId}: ${error.message}`);
+        reportError(ERROR_CATEGORIES.DRIVE, error, { operation: "delete", fileId });
+        throw error;
+    }
+}
+
 export async function getThankYouCardId() {
     const thankYouFolderId = process.env.THANK_YOU_FOLDER_ID;
     console.log(`🔍 Looking for Thank You image in folder: ${thankYouFolderId}`);
 
     try {
+        const storage = getStorage();
+
         // First verify the folder exists
-        await drive.files.get({
-            fileId: thankYouFolderId,
-            fields: 'name'
-        });
-
-        // Search for Thank You image with strict criteria
-        const response = await drive.files.list({
-            q: `'${thankYouFolderId}' in parents and name = 'Thank You.png' and mimeType contains 'image/' and trashed = false`,
-            orderBy: 'modifiedTime desc',
-            fields: 'files(id, name, modifiedTime, trashed)',
-            pageSize: 1 // Get only the most recent one
-        });
-
-        if (!response.data.files || response.data.files.length === 0) {
+        const folder = await storage.getFile(thankYouFolderId);
+        if (!folder) {
+            throw new Error(`Thank You folder ${thankYouFolderId} not found`);
+        }
+
+        // Search for Thank You image with strict criteria, most recent first
+        const candidates = (await storage.listFolder(thankYouFolderId, { name: "Thank You.png" }))
+            .filter(file => !file.mimeType || file.mimeType.startsWith("image/"))
+            .sort((a, b) => new Date(b.modifiedTime || 0) - new Date(a.modifiedTime || 0));
+
+        if (candidates.length === 0) {
             throw new Error('No Thank You image found in the specified folder');
         }
 
-        const thankYouCard = response.data.files[0];
+        const thankYouCard = candidates[0];
 
         // Double check the file still exists and isn't trashed
         try {
-            const fileCheck = await drive.files.get({
-                fileId: thankYouCard.id,
-                fields: 'trashed'
-            });
+            const fileCheck = await storage.getFile(thankYouCard.id);
             
-            if (fileCheck.data.trashed) {
+            if (!fileCheck || fileCheck.trashed) {
                 throw new Error('Most recent Thank You image is in trash');
             }
         } catch (error) {
@@ -194,7 +163,11 @@ export async function getThankYouCardId() {
         return thankYouCard.id;
     } catch (error) {
         console.error(`❌ Error finding Thank You image: ${error.message}`);
+        reportError(ERROR_CATEGORIES.DRIVE, error, { operation: "thank-you-card", folderId: thankYouFolderId });
         throw error;
     }
 }
 
+export async function getShareLink(fileId) {
+    return getStorage().getShareLink(fileId);
+}
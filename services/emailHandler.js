@@ -1,5 +1,7 @@
 import nodemailer from "nodemailer";
 import dotenv from "dotenv";
+import { reportError, ERROR_CATEGORIES } from "./errorTracker.js";
+import { emailAttempts, emailFailures } from "./metrics.js";
 
 dotenv.config();
 
@@ -14,7 +16,7 @@ for (const envVar of requiredEnvVars) {
 const transporter = nodemailer.createTransport({
     host: process.env.SMTP_HOST,
     port: parseInt(process.env.SMTP_PORT),
-    secure: true,
+    secure: process.env.SMTP_SECURE !== "false",
     auth: {
         user: process.env.BREVO_USER,
         pass: process.env.BREVO_SMTP_KEY,
@@ -35,7 +37,8 @@ export async function sendEmail({ to, subject, html }) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
             console.log(`📧 Attempt ${attempt}: Sending email to ${maskedEmail}...`);
-            
+            emailAttempts.inc();
+
             await transporter.sendMail({
                 from: process.env.BREVO_SENDER,
                 to,
@@ -48,8 +51,10 @@ export async function sendEmail({ to, subject, html }) {
             break;
         } catch (error) {
             console.error(`❌ Email sending failed (Attempt ${attempt}):`, error.message);
+            emailFailures.inc({ final: String(attempt === maxRetries) });
             if (attempt === maxRetries) {
                 console.error(`🚨 Final email attempt failed. Giving up.`);
+                reportError(ERROR_CATEGORIES.EMAIL, error, { recipient: maskedEmail, subject });
                 throw new Error(`Failed to send email after ${maxRetries} attempts: ${error.message}`);
             }
             // Wait 1 second before retrying
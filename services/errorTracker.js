@@ -0,0 +1,73 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Categories modules report errors under. Counts are kept per category
+ * so /status can show where failures come from.
+ */
+export const ERROR_CATEGORIES = Object.freeze({
+    DRIVE: "drive",
+    CSV: "csv",
+    EMAIL: "email",
+    ZIP: "zip",
+    TRACKER: "tracker",
+    DELIVERY: "delivery",
+    ORDER: "order",
+    JOB: "job",
+});
+
+const HISTORY_LIMIT = parseInt(process.env.ERROR_HISTORY_LIMIT || "100", 10);
+
+const history = [];
+const counts = Object.fromEntries(Object.values(ERROR_CATEGORIES).map(category => [category, 0]));
+let lastError = null;
+
+/**
+ * ✅ Records an error for /status
+ * @param {string} category - One of ERROR_CATEGORIES
+ * @param {Error|string} error
+ * @param {Object} [context] - Extra fields such as orderNumber, fileId or fileName
+ * @returns {Object} The recorded entry
+ */
+export function reportError(category, error, context = {}) {
+    const entry = {
+        category,
+        message: error?.message || String(error),
+        at: new Date().toISOString(),
+        ...context,
+    };
+
+    counts[category] = (counts[category] || 0) + 1;
+    lastError = entry;
+    history.push(entry);
+    if (history.length > HISTORY_LIMIT) {
+        history.splice(0, history.length - HISTORY_LIMIT);
+    }
+    return entry;
+}
+
+/**
+ * ✅ Most recent error across all categories, or null
+ */
+export function getLastError() {
+    return lastError;
+}
+
+/**
+ * ✅ Error counts per category since startup
+ */
+export function getErrorCounts() {
+    return { ...counts };
+}
+
+/**
+ * ✅ Recent errors, newest first
+ * @param {{ limit?: number, category?: string }} [options]
+ */
+export function getErrorHistory({ limit = 20, category } = {}) {
+    return history
+        .filter(entry => !category || entry.category === category)
+        .slice(-limit)
+        .reverse();
+}
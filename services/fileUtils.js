@@ -3,6 +3,8 @@ import path from 'path';
 import archiver from 'archiver';
 import { fileURLToPath } from 'url';
 import ArchiverZipEncrypted from 'archiver-zip-encrypted';
+import { reportError, ERROR_CATEGORIES } from './errorTracker.js';
+import { zipSizeBytes, zipDurationSeconds } from './metrics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,14 +31,20 @@ export function deleteTempFolder(folderPath) {
     }
 }
 
+// Orders are downloaded and zipped under here
+export function getTempRoot() {
+    return path.resolve(__dirname, 'temp_orders');
+}
+
 export function ensureTempOrderFolder(orderNumber) {
-    const tempOrderFolder = path.resolve(__dirname, 'temp_orders', orderNumber.toString());
+    const tempOrderFolder = path.join(getTempRoot(), orderNumber.toString());
     return ensureDirectoryExists(tempOrderFolder);
 }
 
 export async function createZipFile(sourceFolder, zipPath, password = null, excludePatterns = []) {
     return new Promise((resolve, reject) => {
         const output = fs.createWriteStream(zipPath);
+        const endTimer = zipDurationSeconds.startTimer();
         
         // Use encrypted zip if password is provided, otherwise use regular zip
         const archive = password 
@@ -47,8 +55,15 @@ export async function createZipFile(sourceFolder, zipPath, password = null, excl
               })
             : archiver('zip', { zlib: { level: 9 } });
 
-        output.on('close', () => resolve());
-        archive.on('error', err => reject(err));
+        output.on('close', () => {
+            endTimer();
+            zipSizeBytes.observe(archive.pointer());
+            resolve();
+        });
+        archive.on('error', err => {
+            reportError(ERROR_CATEGORIES.ZIP, err, { zipFile: path.basename(zipPath) });
+            reject(err);
+        });
 
         archive.pipe(output);
 
@@ -63,9 +78,12 @@ export async function createZipFile(sourceFolder, zipPath, password = null, excl
     });
 }
 
+// Write to a temp file and rename it over the target, so a crash never leaves a half-written file
 export function writeJsonToFile(filePath, data) {
     ensureDirectoryExists(path.dirname(filePath));
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
+    const tempPath = `${filePath}.tmp-${process.pid}`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+    fs.renameSync(tempPath, filePath);
 }
 
 export function readJsonFromFile(filePath) {
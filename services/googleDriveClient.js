@@ -1,27 +1,13 @@
 import fs from 'fs';
 import path from 'path';
-import { google } from 'googleapis'; // ✅ Import Google Drive API
 import { fileURLToPath } from 'url';
 import { parse } from 'csv-parse/sync'; // ✅ Correct import
+import { getStorage } from './storage/index.js';
 
 // ✅ Define __dirname for ES Modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const credentials = {
-    client_email: process.env.GOOGLE_CLIENT_EMAIL,
-    private_key: process.env.GOOGLE_PRIVATE_KEY.replace(/\n/g, '\n'),
-    project_id: process.env.GOOGLE_PROJECT_ID,
-};
-
-const auth = new google.auth.JWT({
-    email: credentials.client_email,
-    key: credentials.private_key,
-    scopes: ['https://www.googleapis.com/auth/drive'],
-});
-
-const drive = google.drive({ version: 'v3', auth });
-
 export async function listOrderFiles() {
     try {
         console.log("📂 Fetching Etsy order files from Google Drive...");
@@ -29,13 +15,9 @@ export async function listOrderFiles() {
         const folderId = process.env.ETSY_ORDERS_FOLDER_ID;
         if (!folderId) throw new Error("❌ ERROR: ETSY_ORDERS_FOLDER_ID is missing from .env file!");
 
-        const response = await drive.files.list({
-            q: `'${folderId}' in parents and mimeType != 'application/vnd.google-apps.folder' and trashed=false`,
-            fields: 'files(id, name, createdTime)',
-            orderBy: 'createdTime desc'
-        });
-
-        const files = response.data.files || [];
+        const files = (await getStorage().listFolder(folderId))
+            .filter(file => !file.isFolder)
+            .sort((a, b) => new Date(b.createdTime) - new Date(a.createdTime));
         console.log(`✅ Found ${files.length} Etsy order file(s).`);
         return files;
     } catch (error) {
@@ -57,13 +39,7 @@ export async function processFile(fileId, fileName) {
     const localFilePath = path.join(tempDir, fileName);
 
     try {
-        const response = await drive.files.get(
-            { fileId: fileId, alt: 'media' },
-            { responseType: 'arraybuffer' }
-        );
-
-        const fileContent = Buffer.from(response.data);
-        fs.writeFileSync(localFilePath, fileContent);
+        await getStorage().downloadFile(fileId, localFilePath);
     } catch (error) {
         console.error(`❌ Error saving file ${fileName}: ${error.message}`);
         throw error;
@@ -100,39 +76,12 @@ export function parseCSV(filePath) {
 async function downloadFileFromDrive(fileId, destinationPath) {
     try {
         console.log(`📥 Downloading file ID: ${fileId} to ${destinationPath}`);
-        const drive = google.drive({ version: 'v3', auth });
-        const dest = fs.createWriteStream(destinationPath);
-
-        await drive.files.get(
-            { fileId, alt: 'media' },
-            { responseType: 'stream' },
-            (err, res) => {
-                if (err) {
-                    console.error(`❌ Error downloading file ID: ${fileId}: ${err.message}`);
-                    throw err;
-                }
-
-                res.data
-                    .on('end', () => {
-                        console.log(`✅ Successfully downloaded file ID: ${fileId} to ${destinationPath}`);
-                    })
-                    .on('error', err => {
-                        console.error(`❌ Error downloading file ID: ${fileId}: ${err.message}`);
-                        throw err;
-                    })
-                    .pipe(dest);
-            }
-        );
-
-        // Wait for the file to be fully written
-        await new Promise((resolve, reject) => {
-            dest.on('finish', resolve);
-            dest.on('error', reject);
-        });
+        await getStorage().downloadFile(fileId, destinationPath);
 
         if (!fs.existsSync(destinationPath)) {
             throw new Error(`❌ File not found after download: ${destinationPath}`);
         }
+        console.log(`✅ Successfully downloaded file ID: ${fileId} to ${destinationPath}`);
     } catch (error) {
         console.error(`❌ Error downloading file ID: ${fileId} to ${destinationPath}: ${error.message}`);
         throw error;
@@ -150,14 +99,10 @@ async function getThankYouCardFolderId() {
         }
 
         // Query to search inside the correct root folder
-        const response = await drive.files.list({
-            q: `'${rootFolderId}' in parents and name = 'Thank You Card' and mimeType = 'application/vnd.google-apps.folder' and trashed = false`,
-            fields: 'files(id, name)',
-        });
+        const folderId = await getStorage().findSubfolder(rootFolderId, 'Thank You Card');
 
         // ✅ Handle response
-        if (response.data.files.length > 0) {
-            const folderId = response.data.files[0].id;
+        if (folderId) {
             console.log(`✅ Found 'Thank You Card' folder with ID: ${folderId}`);
             return folderId;
         } else {
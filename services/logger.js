@@ -0,0 +1,138 @@
+import fs from "fs";
+import path from "path";
+import util from "util";
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minLevel = LEVELS[(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+const format = (process.env.LOG_FORMAT || "json").toLowerCase();
+const logFile = process.env.LOG_FILE ? path.resolve(process.env.LOG_FILE) : null;
+const maxFileBytes = parseInt(process.env.LOG_MAX_BYTES || String(10 * 1024 * 1024), 10);
+const maxFiles = parseInt(process.env.LOG_MAX_FILES || "5", 10);
+
+// Carries runId / orderId (and any other fields) through async calls
+const contextStorage = new AsyncLocalStorage();
+
+// Keep the real console methods so the bridge can't recurse into itself
+const rawConsole = {
+    log: console.log.bind(console),
+    error: console.error.bind(console),
+};
+
+let logFileBytes = null;
+
+/**
+ * ✅ Creates a short random ID for runs and requests
+ */
+export function createRunId() {
+    return crypto.randomBytes(6).toString("hex");
+}
+
+/**
+ * ✅ Runs `fn` with extra fields attached to every log line it produces
+ * Nested calls merge with (and override) the outer context.
+ * @param {Object} fields - e.g. { runId } or { orderId }
+ * @param {() => any} fn
+ */
+export function withLogContext(fields, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+/**
+ * ✅ Current log context fields (empty outside withLogContext)
+ */
+export function getLogContext() {
+    return contextStorage.getStore() || {};
+}
+
+// Shift app.log → app.log.1 → … → app.log.<maxFiles>, dropping the oldest
+function rotateLogFile() {
+    for (let index = maxFiles - 1; index >= 1; index--) {
+        const source = `${logFile}.${index}`;
+        if (fs.existsSync(source)) fs.renameSync(source, `${logFile}.${index + 1}`);
+    }
+    fs.renameSync(logFile, `${logFile}.1`);
+    logFileBytes = 0;
+}
+
+function writeToFile(line) {
+    try {
+        if (logFileBytes === null) {
+            fs.mkdirSync(path.dirname(logFile), { recursive: true });
+            logFileBytes = fs.existsSync(logFile) ? fs.statSync(logFile).size : 0;
+        }
+        if (logFileBytes > 0 && logFileBytes + line.length > maxFileBytes) {
+            rotateLogFile();
+        }
+        fs.appendFileSync(logFile, line);
+        logFileBytes += Buffer.byteLength(line);
+    } catch (error) {
+        rawConsole.error(`Log file write failed: ${error.message}`);
+    }
+}
+
+function serializeError(error) {
+    return { name: error.name, message: error.message, stack: error.stack };
+}
+
+function write(level, message, fields = {}) {
+    if (LEVELS[level] < minLevel) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...getLogContext(),
+        ...Object.fromEntries(Object.entries(fields).map(([key, value]) =>
+            [key, value instanceof Error ? serializeError(value) : value])),
+    };
+
+    const line = `${JSON.stringify(entry)}\n`;
+    if (format === "pretty") {
+        const { time, level: entryLevel, msg, ...rest } = entry;
+        const extras = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : "";
+        const output = `${time} ${entryLevel.toUpperCase().padEnd(5)} ${msg}${extras}`;
+        (LEVELS[level] >= LEVELS.warn ? rawConsole.error : rawConsole.log)(output);
+    } else {
+        (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+    }
+
+    if (logFile) writeToFile(line);
+}
+
+/**
+ * Structured logger. Every entry is one JSON line with time, level, msg,
+ * the current log context (runId, orderId, …) and any extra fields.
+ *
+ *   logger.info("Uploaded ZIP", { fileId });
+ *   logger.error("Upload failed", { error });
+ */
+export const logger = Object.freeze({
+    debug: (message, fields) => write("debug", message, fields),
+    info: (message, fields) => write("info", message, fields),
+    warn: (message, fields) => write("warn", message, fields),
+    error: (message, fields) => write("error", message, fields),
+});
+
+/**
+ * ✅ Routes console.log/info/warn/error/debug through the logger
+ * so existing log lines pick up levels, JSON output and the run/order context.
+ */
+export function installConsoleBridge() {
+    const bridge = (level) => (...args) => {
+        const errors = args.filter(arg => arg instanceof Error);
+        const message = util.format(...args.map(arg => (arg instanceof Error ? arg.message : arg)));
+        write(level, message, errors.length > 0 ? { error: errors[0] } : {});
+    };
+
+    console.debug = bridge("debug");
+    console.log = bridge("info");
+    console.info = bridge("info");
+    console.warn = bridge("warn");
+    console.error = bridge("error");
+}
@@ -0,0 +1,86 @@
+import client from "prom-client";
+
+/**
+ * Prometheus metrics for the order pipeline, served on /metrics.
+ * Everything is registered on one registry, including the default
+ * Node.js process metrics (memory, CPU, event loop lag).
+ */
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry, prefix: "narrartive_" });
+
+export const ordersProcessed = new client.Counter({
+    name: "narrartive_orders_processed_total",
+    help: "Orders fulfilled and emailed",
+    labelNames: ["trigger"],
+    registers: [registry],
+});
+
+export const ordersFailed = new client.Counter({
+    name: "narrartive_orders_failed_total",
+    help: "Orders that failed to be fulfilled",
+    labelNames: ["trigger"],
+    registers: [registry],
+});
+
+export const productsPerOrder = new client.Histogram({
+    name: "narrartive_order_products",
+    help: "Number of products in each fulfilled order",
+    buckets: [1, 2, 3, 5, 8, 13, 21],
+    registers: [registry],
+});
+
+export const storageCalls = new client.Counter({
+    name: "narrartive_storage_calls_total",
+    help: "Storage backend (Google Drive, MEGA, S3, local) API calls",
+    labelNames: ["backend", "operation"],
+    registers: [registry],
+});
+
+export const storageErrors = new client.Counter({
+    name: "narrartive_storage_errors_total",
+    help: "Storage backend API calls that failed",
+    labelNames: ["backend", "operation"],
+    registers: [registry],
+});
+
+export const downloadBytes = new client.Counter({
+    name: "narrartive_download_bytes_total",
+    help: "Bytes downloaded: product files fetched from storage, and ZIPs served to customers",
+    labelNames: ["source"],
+    registers: [registry],
+});
+
+export const zipSizeBytes = new client.Histogram({
+    name: "narrartive_zip_size_bytes",
+    help: "Size of the order ZIP files created",
+    buckets: client.exponentialBuckets(1024 * 1024, 4, 8), // 1 MB … 16 GB
+    registers: [registry],
+});
+
+export const zipDurationSeconds = new client.Histogram({
+    name: "narrartive_zip_duration_seconds",
+    help: "Time taken to create an order ZIP",
+    buckets: [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+    registers: [registry],
+});
+
+export const emailAttempts = new client.Counter({
+    name: "narrartive_email_attempts_total",
+    help: "Email send attempts, including retries",
+    registers: [registry],
+});
+
+export const emailFailures = new client.Counter({
+    name: "narrartive_email_failures_total",
+    help: "Failed email send attempts; final=\"true\" when sendEmail gave up",
+    labelNames: ["final"],
+    registers: [registry],
+});
+
+export const cleanupDeletions = new client.Counter({
+    name: "narrartive_cleanup_deleted_files_total",
+    help: "Old delivery ZIPs deleted by the cleanup job",
+    labelNames: ["backend"],
+    registers: [registry],
+});
@@ -1,24 +1,13 @@
-import { google } from "googleapis";
+import fs from "fs";
+import path from "path";
 import dotenv from "dotenv";
 import csvParser from "csv-parser";
 import { loadTracker } from "./tracker.js"; // ✅ Ensure we import loadTracker
+import { getStorage } from "./storage/index.js";
+import { ensureTempOrderFolder } from "./fileUtils.js";
 
 dotenv.config();
 
-const credentials = {
-    client_email: process.env.GOOGLE_CLIENT_EMAIL,
-    private_key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, "\n"),
-    project_id: process.env.GOOGLE_PROJECT_ID,
-};
-
-const auth = new google.auth.JWT({
-    email: credentials.client_email,
-    key: credentials.private_key,
-    scopes: ["https://www.googleapis.com/auth/drive"],
-});
-
-const drive = google.drive({ version: "v3", auth });
-
 async function migrateOldOrders() {
     console.log("🔍 Starting migration scan for old Etsy order files...");
 
@@ -36,15 +25,11 @@ async function migrateOldOrders() {
         return;
     }
 
-    const res = await drive.files.list({
-        q: `'${folderId}' in parents and mimeType != 'application/vnd.google-apps.folder'`,
-        fields: "files(id, name)",
-    });
-
-    const files = res.data.files || [];
+    const files = (await getStorage().listFolder(folderId)).filter(file => !file.isFolder);
+    const summary = { filesSeen: files.length, migrated: 0, pending: 0 };
     if (files.length === 0) {
         console.log("📭 No old Etsy order files found.");
-        return;
+        return summary;
     }
 
     for (const file of files) {
@@ -57,28 +42,33 @@ async function migrateOldOrders() {
         if (processedOrders.length === totalOrders) {
             await moveFileToProcessed(fileId, processedFolderId, folderId);
             console.log(`✅ Migrated ${fileName} to Processed folder.`);
+            summary.migrated++;
         } else {
             console.log(`⏳ Skipping ${fileName} — not fully processed. (${processedOrders.length}/${totalOrders})`);
+            summary.pending++;
         }
     }
 
     console.log("✅ Migration scan complete.");
+    return summary;
 }
 
 // ✅ Optimized CSV Order Counting
 async function countOrdersInFile(fileId) {
     try {
         const orders = [];
-        const fileStream = await drive.files.get({ fileId, alt: "media" }, { responseType: "stream" });
+        const filePath = path.join(ensureTempOrderFolder("migration_temp"), `${fileId}.csv`);
+        await getStorage().downloadFile(fileId, filePath);
 
         await new Promise((resolve, reject) => {
-            fileStream.data
+            fs.createReadStream(filePath)
                 .pipe(csvParser())
                 .on("data", () => orders.push(1))
                 .on("end", resolve)
                 .on("error", reject);
         });
 
+        fs.unlinkSync(filePath);
         return orders.length;
     } catch (err) {
         console.error(`❌ Failed to count orders in file ${fileId}:`, err);
@@ -88,14 +78,13 @@ async function countOrdersInFile(fileId) {
 
 // ✅ Fixed Move File Function
 export async function moveFileToProcessed(fileId) {
-    const response = await drive.files.update({
+    await getStorage().moveFile(
         fileId,
-        addParents: process.env.PROCESSED_ORDERS_FOLDER_ID,
-        removeParents: process.env.ETSY_ORDERS_FOLDER_ID,
-        fields: "id, parents",
-    });
+        process.env.PROCESSED_ORDERS_FOLDER_ID,
+        process.env.ETSY_ORDERS_FOLDER_ID
+    );
 
-    console.log(`✅ Moved file ${fileId} to Processed Orders. Response:`, response.data);
+    console.log(`✅ Moved file ${fileId} to Processed Orders.`);
 }
 
 export { migrateOldOrders };
@@ -1,41 +1,75 @@
 import transporter, { sendEmail } from "./emailHandler.js";
-import { loadFailedOrdersTracker, saveFailedOrdersTracker } from "./tracker.js";
+import { loadTracker, loadFailedOrdersTracker, updateFailedOrdersTracker, getFailureEntries, wasNotificationSent, recordNotificationSent, clearSentNotifications } from "./tracker.js";
+import { isSelfHostedDelivery } from "./delivery.js";
 import fs from "fs";
 
-const failedOrdersToday = new Set(); // In-memory tracker for duplicate prevention
-
 // ✅ Logs a failed order once per day
 export async function logDailyError(orderNumber, errorMessage) {
-    const failedOrders = await loadFailedOrdersTracker();
-
-    // Prevent duplicate logging
-    if (failedOrders[orderNumber]) return;
+    const logged = await updateFailedOrdersTracker(failedOrders => {
+        // Prevent duplicate logging
+        if (failedOrders[orderNumber]) return false;
 
-    failedOrders[orderNumber] = errorMessage;
-    await saveFailedOrdersTracker(failedOrders);
+        failedOrders[orderNumber] = errorMessage;
+        return true;
+    });
+    if (!logged) return;
 
     console.log(`🚨 Logged failed order ${orderNumber} for daily summary.`);
 }
 
+// ✅ Orders whose download link expired in the last 24h without a single download
+export async function findUndownloadedOrders() {
+    // Downloads are only counted when links go through our own /download route
+    if (!isSelfHostedDelivery()) return [];
+
+    const tracker = await loadTracker();
+    const dayMs = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+
+    return Object.entries(tracker.orders || {})
+        .filter(([, order]) => {
+            if (!order.emailedAt || (order.downloads || []).length > 0) return false;
+            const age = now - new Date(order.emailedAt).getTime();
+            return age >= dayMs && age < 2 * dayMs;
+        })
+        .map(([orderNumber, order]) => ({ orderNumber, emailedAt: order.emailedAt }));
+}
+
 // ✅ Send a daily summary email
 export async function sendDailySummary() {
     console.log("📧 Preparing daily summary...");
 
-    const failedOrders = await loadFailedOrdersTracker();
+    const failures = getFailureEntries(await loadFailedOrdersTracker());
+    const undownloadedOrders = await findUndownloadedOrders();
 
-    if (!failedOrders || Object.keys(failedOrders).length === 0) {
+    if (failures.length === 0 && undownloadedOrders.length === 0) {
         console.log("✅ No issues to report in daily summary.");
         return;
     }
 
     let emailBody = `<h2>🚨 Daily Failed Order Summary</h2>`;
-    emailBody += `<p>The following orders encountered issues today:</p><ul>`;
 
-    for (const [orderNumber, reason] of Object.entries(failedOrders)) {
-        emailBody += `<li>❌ Order #${orderNumber}: ${reason}</li>`;
+    if (failures.length > 0) {
+        emailBody += `<p>The following orders encountered issues today:</p><ul>`;
+
+        for (const [orderNumber, reason] of failures) {
+            emailBody += `<li>❌ Order #${orderNumber}: ${reason}</li>`;
+        }
+
+        emailBody += `</ul>`;
+    }
+
+    if (undownloadedOrders.length > 0) {
+        emailBody += `<p>The download links for these orders expired without any download:</p><ul>`;
+
+        for (const { orderNumber, emailedAt } of undownloadedOrders) {
+            emailBody += `<li>📭 Order #${orderNumber} (emailed ${new Date(emailedAt).toLocaleString()})</li>`;
+        }
+
+        emailBody += `</ul>`;
     }
 
-    emailBody += `</ul><p>📌 Please review the orders in Google Drive.</p>`;
+    emailBody += `<p>📌 Please review the orders in Google Drive.</p>`;
 
     try {
         await sendEmail({
@@ -52,7 +86,7 @@ export async function sendDailySummary() {
 
 // ✅ Resets daily failed orders (runs at midnight)
 export function resetDailyFailures() {
-    failedOrdersToday.clear();
+    clearSentNotifications();
     console.log("🔄 Daily tracker reset completed");
 }
 
@@ -64,12 +98,12 @@ export async function sendErrorNotification(orderNumber, message) {
     }
 
     const cacheKey = `${orderNumber}-${new Date().toISOString().split("T")[0]}`;
-    if (failedOrdersToday.has(cacheKey)) {
+    if (wasNotificationSent(cacheKey)) {
         console.log(`ℹ️ Order ${orderNumber}: Notification skipped (already sent today)`);
         return;
     }
 
-    failedOrdersToday.add(cacheKey);
+    recordNotificationSent(cacheKey, orderNumber);
 
     const subject = `⚠️ Order Processing Failed: Order ${orderNumber}`;
     const html = `
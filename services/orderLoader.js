@@ -1,20 +1,12 @@
-import { google } from "googleapis";
 import fs from "fs";
 import csvParser from "csv-parser";
 import dotenv from "dotenv";
+import { getStorage } from "./storage/index.js";
 
 dotenv.config();
 
 const ETSY_ORDERS_FOLDER_ID = process.env.ETSY_ORDERS_FOLDER_ID;
 
-// ✅ Google Drive Authentication
-const auth = new google.auth.JWT({
-    email: process.env.GOOGLE_CLIENT_EMAIL,
-    key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, "\n"),
-    scopes: ["https://www.googleapis.com/auth/drive"],
-});
-const drive = google.drive({ version: "v3", auth });
-
 /** ===============================
  * ✅ Load Latest Etsy Order (Find & Parse CSV)
  * =============================== */
@@ -23,13 +15,8 @@ export async function loadLatestEtsyOrder() {
         console.log("📂 Searching for latest Etsy order file...");
 
         // ✅ Get list of CSV files in Etsy Orders folder
-        const res = await drive.files.list({
-            q: `'${ETSY_ORDERS_FOLDER_ID}' in parents and mimeType='text/csv' and trashed=false`,
-            orderBy: "createdTime desc", // Get the latest file
-            fields: "files(id, name, createdTime)",
-        });
-
-        const files = res.data.files;
+        const files = (await getStorage().listFolder(ETSY_ORDERS_FOLDER_ID, { mimeType: "text/csv" }))
+            .sort((a, b) => new Date(b.createdTime) - new Date(a.createdTime)); // Get the latest file first
         if (!files.length) {
             console.log("📭 No Etsy order files found.");
             return null;
@@ -41,18 +28,7 @@ export async function loadLatestEtsyOrder() {
         // ✅ Download file
         const filePath = `./temp/${latestFile.name}`;
         if (!fs.existsSync("./temp")) fs.mkdirSync("./temp"); // Ensure temp folder exists
-        const dest = fs.createWriteStream(filePath);
-
-        await new Promise((resolve, reject) => {
-            drive.files.get({ fileId: latestFile.id, alt: "media" }, { responseType: "stream" })
-                .then(res => {
-                    res.data
-                        .on("end", resolve)
-                        .on("error", reject)
-                        .pipe(dest);
-                })
-                .catch(reject);
-        });
+        await getStorage().downloadFile(latestFile.id, filePath);
 
         console.log("✅ File downloaded. Parsing CSV...");
 
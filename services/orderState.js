@@ -0,0 +1,115 @@
+/**
+ * Per-order state machine kept in `tracker.orders[orderNumber]`.
+ *
+ *   received → assets_fetched → zipped → uploaded → emailed → delivered
+ *
+ * Any state may move to `failed`, and any state may move back to `received`
+ * when an order is restarted (crash recovery, reprocessing).
+ */
+
+export const ORDER_STATES = Object.freeze({
+    RECEIVED: "received",
+    ASSETS_FETCHED: "assets_fetched",
+    ZIPPED: "zipped",
+    UPLOADED: "uploaded",
+    EMAILED: "emailed",
+    DELIVERED: "delivered",
+    FAILED: "failed",
+});
+
+const { RECEIVED, ASSETS_FETCHED, ZIPPED, UPLOADED, EMAILED, DELIVERED, FAILED } = ORDER_STATES;
+
+const TRANSITIONS = {
+    [RECEIVED]: [ASSETS_FETCHED],
+    [ASSETS_FETCHED]: [ZIPPED],
+    [ZIPPED]: [UPLOADED],
+    [UPLOADED]: [EMAILED],
+    [EMAILED]: [DELIVERED],
+    [DELIVERED]: [],
+    [FAILED]: [],
+};
+
+/**
+ * ✅ Checks whether an order may move from one state to another
+ * @param {string|undefined} from - Current state (undefined for a new order)
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+    if (to === RECEIVED || to === FAILED) return true;
+    if (!from) return false;
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * ✅ Moves an order to a new state on the given tracker object
+ * Extra fields are merged into the order record; `note` and `error`
+ * are also kept on the history entry.
+ * @param {Object} tracker - Loaded processed orders tracker (mutated)
+ * @param {string} orderNumber
+ * @param {string} nextState - One of ORDER_STATES
+ * @param {Object} [details]
+ * @returns {Object} The updated order record
+ */
+export function transitionOrder(tracker, orderNumber, nextState, details = {}) {
+    if (!Object.values(ORDER_STATES).includes(nextState)) {
+        throw new Error(`❌ Unknown order state: ${nextState}`);
+    }
+
+    if (!tracker.orders) {
+        tracker.orders = {};
+    }
+
+    const order = tracker.orders[orderNumber] || { orderNumber, createdAt: new Date().toISOString(), history: [] };
+    if (!canTransition(order.state, nextState)) {
+        throw new Error(`❌ Invalid state transition for order ${orderNumber}: ${order.state || "new"} → ${nextState}`);
+    }
+
+    const now = new Date().toISOString();
+    const { note, error, ...fields } = details;
+
+    Object.assign(order, fields, {
+        state: nextState,
+        updatedAt: now,
+        error: nextState === FAILED ? error : undefined,
+    });
+    order.history = order.history || [];
+    order.history.push({
+        state: nextState,
+        at: now,
+        ...(note ? { note } : {}),
+        ...(error ? { error } : {}),
+    });
+
+    tracker.orders[orderNumber] = order;
+    return order;
+}
+
+/**
+ * ✅ Adds a history entry without changing the order's state
+ * Used for actions on a finished order, e.g. resending the delivery email.
+ * @param {Object} tracker - Loaded processed orders tracker (mutated)
+ * @param {string} orderNumber
+ * @param {string} note - Shown on the history entry
+ * @param {Object} [fields] - Merged into the order record
+ * @returns {Object} The updated order record
+ */
+export function recordOrderEvent(tracker, orderNumber, note, fields = {}) {
+    const order = tracker.orders?.[orderNumber];
+    if (!order) {
+        throw new Error(`❌ Order ${orderNumber} is not in the tracker`);
+    }
+
+    const now = new Date().toISOString();
+    Object.assign(order, fields, { updatedAt: now });
+    order.history = order.history || [];
+    order.history.push({ state: order.state, at: now, note });
+    return order;
+}
+
+/**
+ * ✅ Whether the customer email for an order has already gone out
+ */
+export function isOrderEmailed(order) {
+    return order?.state === EMAILED || order?.state === DELIVERED;
+}
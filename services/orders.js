@@ -1,6 +1,7 @@
 import fs from "fs";
 import path from "path";
-import { loadTracker, saveTracker, processEtsyOrderFile, loadFailedOrdersTracker, saveFailedOrdersTracker } from "./tracker.js";
+import { loadTracker, saveTracker, processEtsyOrderFile, loadFailedOrdersTracker, updateFailedOrdersTracker, updateOrderState, getOrderRecord, updateTracker, syncTracker, logOrderEvent } from "./tracker.js";
+import { ORDER_STATES, isOrderEmailed } from "./orderState.js";
 import { 
     downloadAllFilesInFolder, 
     findProductFolder, 
@@ -12,12 +13,19 @@ import {
     listFilesInFolder,
     moveFileToFolder
 } from "./driveUtils.js";
+import { deliverOrderZip, reuseDelivery, fetchDeliveredZip, deleteDeliveredZip } from "./delivery.js";
+import { getStorage } from "./storage/index.js";
+import { withRunLock } from "./runLock.js";
+import { reportError, ERROR_CATEGORIES } from "./errorTracker.js";
+import { ordersProcessed, ordersFailed, productsPerOrder } from "./metrics.js";
+import { findCatalogEntry } from "./catalog.js";
+import { getSelectedSize } from "./variations.js";
+import { logger, withLogContext } from "./logger.js";
 import { sendEmail } from "./emailHandler.js";
 import { sendDailySummary } from "./notifier.js";
 import dotenv from "dotenv";
 import { fileURLToPath } from 'url';
 import { ensureTempOrderFolder, createZipFile, deleteTempFolder, readJsonFromFile, writeJsonToFile } from "./fileUtils.js";
-import { google } from 'googleapis';
 import { parse } from 'csv-parse/sync';
 
 dotenv.config();
@@ -26,14 +34,6 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const auth = new google.auth.JWT({
-    email: process.env.GOOGLE_CLIENT_EMAIL,
-    key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-    scopes: ['https://www.googleapis.com/auth/drive'],
-});
-
-const drive = google.drive({ version: 'v3', auth });
-
 const COMPLETED_ORDERS_FOLDER_ID = process.env.COMPLETED_ORDERS_FOLDER_ID;
 const ROOT_COLLECTION_ID = process.env.NARRARTIVE_FOLDER_ID;
 const THANK_YOU_FOLDER_ID = process.env.THANK_YOU_FOLDER_ID;
@@ -43,13 +43,10 @@ async function trackSkippedFile(fileName, orderNumber) {
     console.log(`🔄 Starting to track skipped file: ${fileName}`);
     const failedOrders = await loadFailedOrdersTracker();
     
-    if (!failedOrders.skippedFiles) {
-        failedOrders.skippedFiles = {};
-    }
-    
-    // Early return if file is already tracked
-    if (failedOrders.skippedFiles[fileName]) {
-        console.log(`ℹ️ File ${fileName} is already tracked - no notification needed`);
+    // Early return if file is already tracked; resolved entries are kept so they stay quiet
+    const existing = failedOrders.skippedFiles?.[fileName];
+    if (existing) {
+        console.log(`ℹ️ File ${fileName} is already tracked${existing.resolvedAt ? ' (resolved)' : ''} - no notification needed`);
         return;
     }
 
@@ -57,11 +54,11 @@ async function trackSkippedFile(fileName, orderNumber) {
     
     // Add new file to tracker
     console.log(`📝 Adding ${fileName} to failed orders tracker...`);
-    failedOrders.skippedFiles[fileName] = {
+    const entry = {
         orderNumber,
         dateSkipped: now.toISOString(),
         lastNotified: now.toISOString(), // Set initial notification time
-        reason: 'Already processed, needs _fix suffix'
+        reason: 'Already processed, reprocess via admin API if needed'
     };
 
     // Send immediate email alert
@@ -76,8 +73,8 @@ async function trackSkippedFile(fileName, orderNumber) {
                 <li><strong>Time:</strong> ${now.toLocaleString()}</li>
                 <li><strong>Reason:</strong> File has already been processed</li>
             </ul>
-            <p><strong>Required Action:</strong> Please process this file with the _fix suffix to handle any necessary corrections.</p>
-            <p>For example, rename the file to: ${fileName.replace('.csv', '_fix.csv')}</p>
+            <p><strong>Required Action:</strong> If this order needs corrections, reprocess it from the original CSV:</p>
+            <p><code>POST /admin/orders/${orderNumber}/reprocess</code> with a <code>reason</code> (and optionally a corrected <code>email</code> or <code>products</code>).</p>
         `;
 
         await sendEmail({
@@ -87,7 +84,10 @@ async function trackSkippedFile(fileName, orderNumber) {
         });
         
         // Save to tracker after successful email
-        await saveFailedOrdersTracker(failedOrders);
+        await updateFailedOrdersTracker(latest => {
+            latest.skippedFiles = latest.skippedFiles || {};
+            latest.skippedFiles[fileName] = latest.skippedFiles[fileName] || entry;
+        });
         console.log(`✅ Alert email sent to Admin`);
     } catch (error) {
         console.error(`❌ Error sending alert email: ${error.message}`);
@@ -102,12 +102,7 @@ async function listOrderFiles() {
         throw new Error("❌ ETSY_ORDERS_FOLDER_ID is not defined");
     }
 
-    const response = await drive.files.list({
-        q: `'${folderId}' in parents and trashed=false and mimeType='text/csv'`,
-        fields: 'files(id, name)',
-    });
-
-    return response.data.files;
+    return getStorage().listFolder(folderId, { mimeType: 'text/csv' });
 }
 
 // Function to download and parse CSV file
@@ -127,11 +122,16 @@ async function processFile(fileId, fileName) {
 // Parse CSV content
 function parseCSV(filePath) {
     const content = fs.readFileSync(filePath, 'utf-8');
-    return parse(content, {
-        columns: true,
-        skip_empty_lines: true,
-        trim: true
-    });
+    try {
+        return parse(content, {
+            columns: true,
+            skip_empty_lines: true,
+            trim: true
+        });
+    } catch (error) {
+        reportError(ERROR_CATEGORIES.CSV, error, { fileName: path.basename(filePath) });
+        throw error;
+    }
 }
 
 // Process new orders only
@@ -156,17 +156,212 @@ function generateZipPassword(orderNumber, email) {
     return `${orderNumber}${emailSuffix}`;
 }
 
-// Process all orders with complete workflow
+// Send the customer email with the download link and zip password
+async function sendDeliveryEmail({ orderNumber, to, buyerName, downloadLink, zipPassword }) {
+    const emailTemplate = `
+        <h1>Thank you for your purchase!</h1>
+        <p>Dear ${buyerName},</p>
+        <p>Thank you for purchasing from narrARTive. Your files are ready for download:</p>
+        
+        <div style="background-color: #f9f9f9; padding: 32px; border-radius: 5px; margin: 32px 0;">
+            <h2>⇩ Download Your Files</h2>
+            <p><a href="${downloadLink}" style="display: inline-block; background-color: #1AC300; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; margin: 12px 0;">Download ZIP File</a></p>
+            
+            <p style="margin-top: 16px;"><strong>Password:</strong> ${zipPassword}</p>
+            
+            <p style="margin-top: 16px;">
+                ⚠️ Important: This download link will expire in 24 hours
+            </p>
+        </div>
+
+        <p>Best regards,<br>narrARTive Team</p>
+
+        <hr style="margin-top: 30px; border: none; border-top: 1px solid #eee;">
+        <p style="font-size: 12px; color: #666; margin-top: 20px;">
+            Having trouble or questions? Contact us at: info@narrartive.de
+        </p>
+    `;
+
+    await sendEmail({
+        to,
+        subject: `Your narrARTive Purchase: Order #${orderNumber}`,
+        html: emailTemplate
+    });
+}
+
+// Fetch, zip, upload and email one consolidated order; resolves to false if a product could not be fetched
+// `force` redoes every step even when the order was already uploaded or emailed
+// Steps are only saved locally: callers upload the tracker once the order's outcome is recorded
+async function fulfillOrder(orderNumber, orderGroup, tempOrderFolder, { force = false, note } = {}) {
+    const previous = await getOrderRecord(orderNumber);
+    const recordStep = (state, details) => updateOrderState(orderNumber, state, details, { localOnly: true });
+    let delivery = null;
+
+    if (isOrderEmailed(previous) && !force) {
+        // Crashed after the email went out: only the bookkeeping is left
+        console.log(`⏭️ Order ${orderNumber} was already emailed - finishing tracker updates`);
+    } else {
+        const zipPassword = generateZipPassword(orderNumber, orderGroup.buyerEmail);
+
+        if (previous?.state === ORDER_STATES.UPLOADED && !force) {
+            // Crashed between upload and email: resume with the uploaded ZIP
+            delivery = await reuseDelivery(orderNumber, previous);
+            if (delivery) {
+                console.log(`♻️ Resuming order ${orderNumber} from uploaded ZIP`);
+            }
+        }
+
+        if (!delivery) {
+            await recordStep(ORDER_STATES.RECEIVED, {
+                buyerEmail: orderGroup.buyerEmail,
+                buyerName: orderGroup.buyerName,
+                files: [...orderGroup.files],
+                products: orderGroup.orders.map(order => order['Product Name']),
+                variations: orderGroup.orders.map(order => order['Variations'] || ''),
+                // Kept so a rebuild can match the catalog by listing or SKU, not just the title
+                listingIds: orderGroup.orders.map(order => order['Listing ID'] || ''),
+                skus: orderGroup.orders.map(order => order['SKU'] || ''),
+                note: note || (previous ? `Restarted from ${previous.state}` : undefined),
+            });
+
+            const productErrors = [];
+
+            // Process each product in the order
+            for (const order of orderGroup.orders) {
+                try {
+                    const { success, error } = await processOrderProduct(order, tempOrderFolder);
+                    if (!success) {
+                        productErrors.push(error);
+                    }
+                } catch (err) {
+                    console.error(`❌ Processing failed for product in order ${orderNumber}: ${err.message}`);
+                    productErrors.push(err.message);
+                }
+            }
+
+            if (productErrors.length > 0) {
+                // Keep the reasons (e.g. a missing size folder) on the order for the dashboard
+                await recordStep(ORDER_STATES.FAILED, {
+                    error: `One or more products could not be fetched: ${productErrors.join('; ')}`,
+                });
+                return false;
+            }
+            await recordStep(ORDER_STATES.ASSETS_FETCHED);
+
+            // Create zip file with password protection
+            const zipPath = path.join(tempOrderFolder, `Order_${orderNumber}.zip`);
+            await createZipFile(tempOrderFolder, zipPath, zipPassword, ['Order_*.zip', '.DS_Store']);
+            await recordStep(ORDER_STATES.ZIPPED);
+
+            // Upload zip to the delivery backend first
+            delivery = await deliverOrderZip(zipPath, orderNumber);
+            await recordStep(ORDER_STATES.UPLOADED, {
+                deliveryBackend: delivery.backend,
+                zipFileId: delivery.fileId,
+            });
+        }
+
+        // Send email with download link
+        await sendDeliveryEmail({
+            orderNumber,
+            to: orderGroup.buyerEmail,
+            buyerName: orderGroup.buyerName,
+            downloadLink: delivery.downloadLink,
+            zipPassword,
+        });
+        await recordStep(ORDER_STATES.EMAILED, { emailedAt: new Date().toISOString() });
+    }
+    return true;
+}
+
+// Fulfil one consolidated order, record it in the tracker and move its CSVs to the processed folder
+async function completeOrderGroup(orderNumber, orderGroup, orderFiles, summary) {
+    console.log(`🛠️ Processing consolidated order: ${orderNumber}`);
+    const tempOrderFolder = await ensureTempOrderFolder(orderNumber);
+    const csvTempFolder = ensureTempOrderFolder('csv_temp');
+    
+    try {
+        const fulfilled = await fulfillOrder(orderNumber, orderGroup, tempOrderFolder);
+        if (!fulfilled) {
+            ordersFailed.inc({ trigger: 'pipeline' });
+            summary.failures.push({ orderNumber, error: 'One or more products could not be fetched' });
+            await syncTracker()
+                .catch(syncError => console.error(`❌ Failed to upload tracker for order ${orderNumber}: ${syncError.message}`));
+            return;
+        }
+        ordersProcessed.inc({ trigger: 'pipeline' });
+        productsPerOrder.observe(orderGroup.orders.length);
+
+        // Update tracker for all files in this order (this also uploads the order's steps)
+        await updateTracker(tracker => {
+            for (const fileName of orderGroup.files) {
+                tracker.processedOrders[fileName] = tracker.processedOrders[fileName] || [];
+                if (!tracker.processedOrders[fileName].includes(orderNumber)) {
+                    tracker.processedOrders[fileName].push(orderNumber);
+                }
+            }
+        });
+
+        // Move processed files
+        for (const fileName of orderGroup.files) {
+            const file = orderFiles.find(f => f.name === fileName);
+            if (file) {
+                await moveFileToFolder(
+                    file.id,
+                    process.env.PROCESSED_ORDERS_FOLDER_ID,
+                    process.env.ETSY_ORDERS_FOLDER_ID
+                );
+            }
+        }
+        summary.ordersProcessed++;
+        console.log(`✅ Processed consolidated order ${orderNumber}`);
+
+    } catch (err) {
+        console.error(`❌ Error processing consolidated order ${orderNumber}: ${err.message}`);
+        reportError(ERROR_CATEGORIES.ORDER, err, { orderNumber });
+        ordersFailed.inc({ trigger: 'pipeline' });
+        summary.failures.push({ orderNumber, error: err.message });
+        await updateOrderState(orderNumber, ORDER_STATES.FAILED, { error: err.message })
+            .catch(stateError => console.error(`❌ Failed to record failure for order ${orderNumber}: ${stateError.message}`));
+    } finally {
+        // Cleanup all temp folders
+        deleteTempFolder(tempOrderFolder);
+        deleteTempFolder(csvTempFolder);
+        deleteTempFolder(path.join(__dirname, 'temp_orders'));
+    }
+}
+
+// Process all orders, skipping the cycle if another one is still running
 async function processAllOrders() {
+    return withRunLock('processAllOrders', runOrderProcessing);
+}
+
+// Process all orders with complete workflow; resolves to a summary of the run
+async function runOrderProcessing() {
     console.log('🚀 Processing all orders...');
+    const summary = {
+        filesSeen: 0,
+        filesSkipped: 0,
+        ordersSeen: 0,
+        ordersProcessed: 0,
+        failures: [],
+    };
+
+    // Loaded once for the run, outside the catch below: a tracker that can't be read fails the run
+    // rather than making every CSV look new
+    const tracker = await loadTracker();
+    if (!tracker.processedOrders) {
+        tracker.processedOrders = {};
+    }
 
     try {
         const orderFiles = await listOrderFiles();
 
         if (!orderFiles || orderFiles.length === 0) {
             console.log('📭 No Etsy order files found.');
-            return;
+            return summary;
         }
+        summary.filesSeen = orderFiles.length;
 
         // Group orders by order number
         const orderGroups = new Map();
@@ -176,17 +371,10 @@ async function processAllOrders() {
 
             try {
                 // Check if file has already been processed
-                const tracker = await loadTracker();
-                if (!tracker.processedOrders) {
-                    tracker.processedOrders = {};
-                }
-                
-                const baseFileName = fileName.replace(/_fix\d*\.csv$/, '.csv');
-                const isFixAttempt = fileName.includes('_fix');
-                
-                if (!isFixAttempt && tracker.processedOrders[baseFileName]) {
-                    console.log(`⚠️ File ${baseFileName} has already been processed. Use _fix suffix to reprocess.`);
-                    await trackSkippedFile(baseFileName, tracker.processedOrders[baseFileName][0] || 'Unknown');
+                if (tracker.processedOrders[fileName]) {
+                    console.log(`⚠️ File ${fileName} has already been processed. Use the admin reprocess endpoint to redo an order.`);
+                    await trackSkippedFile(fileName, tracker.processedOrders[fileName][0] || 'Unknown');
+                    summary.filesSkipped++;
                     continue;
                 }
 
@@ -196,6 +384,8 @@ async function processAllOrders() {
 
                 if (!parsedOrders || parsedOrders.length === 0) {
                     console.error(`❌ No valid orders found in ${fileName}`);
+                    summary.failures.push({ file: fileName, error: 'No valid orders found' });
+                    reportError(ERROR_CATEGORIES.CSV, 'No valid orders found', { fileName });
                     continue;
                 }
 
@@ -216,123 +406,201 @@ async function processAllOrders() {
 
             } catch (err) {
                 console.error(`❌ Error processing file ${fileName}: ${err.message}`);
+                summary.failures.push({ file: fileName, error: err.message });
             }
         }
+        summary.ordersSeen = orderGroups.size;
 
-        // Process each group of orders
+        // Process each group of orders, tagging their log lines with the order number
         for (const [orderNumber, orderGroup] of orderGroups.entries()) {
-            console.log(`🛠️ Processing consolidated order: ${orderNumber}`);
-            const tempOrderFolder = await ensureTempOrderFolder(orderNumber);
-            const csvTempFolder = ensureTempOrderFolder('csv_temp');
-            
-            try {
-                let allProductsSucceeded = true;
-
-                // Process each product in the order
-                for (const order of orderGroup.orders) {
-                    try {
-                        const success = await processOrderProduct(order, tempOrderFolder);
-                        if (!success) {
-                            allProductsSucceeded = false;
-                        }
-                    } catch (err) {
-                        console.error(`❌ Processing failed for product in order ${orderNumber}: ${err.message}`);
-                        allProductsSucceeded = false;
-                    }
-                }
+            await withLogContext({ orderId: orderNumber }, () => completeOrderGroup(orderNumber, orderGroup, orderFiles, summary));
+        }
 
-                if (allProductsSucceeded) {
-                    // Create zip file with password protection
-                    const zipPath = path.join(tempOrderFolder, `Order_${orderNumber}.zip`);
-                    const zipPassword = generateZipPassword(orderNumber, orderGroup.buyerEmail);
-                    await createZipFile(tempOrderFolder, zipPath, zipPassword, ['Order_*.zip', '.DS_Store']);
+        console.log('✅ Order processing completed.');
+    } catch (error) {
+        console.error('❌ Critical error in order processing:', error.message);
+        reportError(ERROR_CATEGORIES.ORDER, error, { stage: 'processing' });
+        summary.error = error.message;
+    }
+    return summary;
+}
 
-                    // Upload zip to Google Drive first
-                    const zipFileId = await uploadFileToDrive(zipPath, process.env.COMPLETED_ORDERS_FOLDER_ID);
-                    if (!zipFileId) {
-                        throw new Error('❌ Failed to upload ZIP file to Drive');
-                    }
+/**
+ * ✅ Reprocesses one order from its original CSV in PROCESSED_ORDERS_FOLDER_ID
+ * Redoes every step (fetch, zip, upload, email) even if the order was already
+ * delivered, and records the reason in the order's `reprocesses` list.
+ * @param {string} orderNumber
+ * @param {{ reason: string, email?: string, products?: string[], requestedBy?: string }} options
+ *        `email` replaces the buyer email; `products` replaces the product list
+ * @returns {Promise<{ skipped: boolean, reason?: string, result?: { orderNumber: string, fulfilled: boolean, files: string[] } }>}
+ */
+async function reprocessOrder(orderNumber, { reason, email, products, requestedBy } = {}) {
+    if (!reason) {
+        throw new Error('A reason is required to reprocess an order');
+    }
 
-                    // Send email with download link
-                    const emailTemplate = `
-                        <h1>Thank you for your purchase!</h1>
-                        <p>Dear ${orderGroup.buyerName},</p>
-                        <p>Thank you for purchasing from narrARTive. Your files are ready for download:</p>
-                        
-                        <div style="background-color: #f9f9f9; padding: 32px; border-radius: 5px; margin: 32px 0;">
-                            <h2>⇩ Download Your Files</h2>
-                            <p><a href="https://drive.google.com/file/d/${zipFileId}/view?usp=sharing" style="display: inline-block; background-color: #1AC300; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; margin: 12px 0;">Download ZIP File</a></p>
-                            
-                            <p style="margin-top: 16px;"><strong>Password:</strong> ${zipPassword}</p>
-                            
-                            <p style="margin-top: 16px;">
-                                ⚠️ Important: This download link will expire in 24 hours
-                            </p>
-                        </div>
-
-                        <p>Best regards,<br>narrARTive Team</p>
-
-                        <hr style="margin-top: 30px; border: none; border-top: 1px solid #eee;">
-                        <p style="font-size: 12px; color: #666; margin-top: 20px;">
-                            Having trouble or questions? Contact us at: info@narrartive.de
-                        </p>
-                    `;
-
-                    await sendEmail({
-                        to: orderGroup.buyerEmail,
-                        subject: `Your narrARTive Purchase: Order #${orderNumber}`,
-                        html: emailTemplate
-                    });
-
-                    // Update tracker for all files in this order
-                    const tracker = await loadTracker();
-                    for (const fileName of orderGroup.files) {
-                        // For fix files, we need to track all orders in the file
-                        const baseFileName = fileName.replace(/_fix\d*\.csv$/, '.csv');
-                        const isFixAttempt = fileName.includes('_fix');
-                        
-                        if (isFixAttempt) {
-                            // For fix files, get all orders from the original file
-                            const originalOrders = tracker.processedOrders[baseFileName] || [];
-                            tracker.processedOrders[fileName] = [...new Set([...originalOrders, orderNumber])];
-                        } else {
-                            // For regular files, just track this order
-                            tracker.processedOrders[fileName] = tracker.processedOrders[fileName] || [];
-                            if (!tracker.processedOrders[fileName].includes(orderNumber)) {
-                                tracker.processedOrders[fileName].push(orderNumber);
-                            }
-                        }
-                    }
-                    await saveTracker(tracker);
-
-                    // Move processed files
-                    for (const fileName of orderGroup.files) {
-                        const file = orderFiles.find(f => f.name === fileName);
-                        if (file) {
-                            await moveFileToFolder(
-                                file.id,
-                                process.env.PROCESSED_ORDERS_FOLDER_ID,
-                                process.env.ETSY_ORDERS_FOLDER_ID
-                            );
-                        }
-                    }
-                    console.log(`✅ Processed consolidated order ${orderNumber}`);
+    return withRunLock(`reprocessOrder ${orderNumber}`, () => withLogContext({ orderId: orderNumber }, async () => {
+        const record = await getOrderRecord(orderNumber);
+        const tracker = await loadTracker();
+        const fileNames = record?.files?.length
+            ? record.files
+            : Object.keys(tracker.processedOrders).filter(fileName => tracker.processedOrders[fileName].includes(orderNumber));
+
+        if (fileNames.length === 0) {
+            throw new Error(`Order ${orderNumber} is not in the tracker`);
+        }
+
+        const tempOrderFolder = ensureTempOrderFolder(orderNumber);
+        const csvTempFolder = ensureTempOrderFolder('csv_temp');
+
+        try {
+            // Rebuild the order group from the original CSV rows
+            let rows = [];
+            for (const fileName of fileNames) {
+                const [file] = await getStorage().listFolder(process.env.PROCESSED_ORDERS_FOLDER_ID, { name: fileName });
+                if (!file) {
+                    console.warn(`⚠️ Original CSV ${fileName} for order ${orderNumber} is not in the processed folder`);
+                    continue;
                 }
+                const localFilePath = await processFile(file.id, fileName);
+                rows.push(...parseCSV(localFilePath).filter(row => row['Order Number'] === orderNumber));
+            }
 
+            if (rows.length === 0) {
+                throw new Error(`No rows for order ${orderNumber} found in ${fileNames.join(', ')}`);
+            }
+            if (products?.length) {
+                // The corrected names replace the listing, so don't let the first row's listing ID or SKU pick the product
+                rows = products.map(productName => ({ ...rows[0], 'Product Name': productName, 'Listing ID': '', 'SKU': '' }));
+            }
+            if (email) {
+                rows = rows.map(row => ({ ...row, 'Buyer Email': email }));
+            }
+
+            const orderGroup = {
+                orders: rows,
+                files: new Set(fileNames),
+                buyerEmail: rows[0]['Buyer Email'],
+                buyerName: rows[0]['Buyer Name'],
+            };
+
+            const reprocess = {
+                at: new Date().toISOString(),
+                reason,
+                requestedBy,
+                email,
+                products,
+            };
+            await updateTracker(tracker => {
+                tracker.orders[orderNumber] = tracker.orders[orderNumber] || { orderNumber };
+                tracker.orders[orderNumber].reprocesses = [...(tracker.orders[orderNumber].reprocesses || []), reprocess];
+            }, { localOnly: true });
+
+            console.log(`🔁 Reprocessing order ${orderNumber}: ${reason}`);
+            let fulfilled = false;
+            try {
+                fulfilled = await fulfillOrder(orderNumber, orderGroup, tempOrderFolder, {
+                    force: true,
+                    note: `Reprocess: ${reason}`,
+                });
             } catch (err) {
-                console.error(`❌ Error processing consolidated order ${orderNumber}: ${err.message}`);
-            } finally {
-                // Cleanup all temp folders
-                deleteTempFolder(tempOrderFolder);
-                deleteTempFolder(csvTempFolder);
-                deleteTempFolder(path.join(__dirname, 'temp_orders'));
+                ordersFailed.inc({ trigger: 'reprocess' });
+                await updateOrderState(orderNumber, ORDER_STATES.FAILED, { error: err.message })
+                    .catch(stateError => console.error(`❌ Failed to record failure for order ${orderNumber}: ${stateError.message}`));
+                throw err;
             }
+            await syncTracker();
+
+            if (fulfilled) {
+                ordersProcessed.inc({ trigger: 'reprocess' });
+                productsPerOrder.observe(orderGroup.orders.length);
+            } else {
+                ordersFailed.inc({ trigger: 'reprocess' });
+            }
+
+            console.log(fulfilled ? `✅ Reprocessed order ${orderNumber}` : `❌ Reprocessing order ${orderNumber} failed`);
+            return { orderNumber, fulfilled, files: fileNames };
+        } finally {
+            deleteTempFolder(tempOrderFolder);
+            deleteTempFolder(csvTempFolder);
         }
+    }));
+}
 
-        console.log('✅ Order processing completed.');
-    } catch (error) {
-        console.error('❌ Critical error in order processing:', error.message);
-    }
+/**
+ * ✅ Resends the delivery email for a completed order
+ * Reuses the delivered ZIP if it is still there, otherwise rebuilds it from the
+ * order's products; either way it is re-uploaded so the link gets a fresh expiry.
+ * @param {string} orderNumber
+ * @param {{ email?: string, requestedBy?: string }} options - `email` overrides the address on file
+ * @returns {Promise<{ skipped: boolean, reason?: string, result?: { orderNumber: string, to: string, reusedZip: boolean } }>}
+ */
+async function resendOrderEmail(orderNumber, { email, requestedBy } = {}) {
+    return withRunLock(`resendOrderEmail ${orderNumber}`, () => withLogContext({ orderId: orderNumber }, async () => {
+        const record = await getOrderRecord(orderNumber);
+        if (!record) {
+            throw new Error(`Order ${orderNumber} is not in the tracker`);
+        }
+        if (!isOrderEmailed(record)) {
+            throw new Error(`Order ${orderNumber} has not been completed (state: ${record.state || 'unknown'})`);
+        }
+
+        const tempOrderFolder = ensureTempOrderFolder(orderNumber);
+        try {
+            // The password stays tied to the original buyer email so it matches the first email
+            const zipPassword = generateZipPassword(orderNumber, record.buyerEmail);
+            const zipPath = path.join(tempOrderFolder, `Order_${orderNumber}.zip`);
+
+            const reusedZip = await fetchDeliveredZip(record, zipPath);
+            if (reusedZip) {
+                console.log(`♻️ Reusing delivered ZIP for order ${orderNumber}`);
+            } else {
+                console.log(`🛠️ Delivered ZIP for order ${orderNumber} is gone - rebuilding it`);
+                for (const [index, productName] of (record.products || []).entries()) {
+                    const { success, error } = await processOrderProduct({
+                        'Order Number': orderNumber,
+                        'Product Name': productName,
+                        'Variations': record.variations?.[index] || '',
+                        'Listing ID': record.listingIds?.[index] || '',
+                        'SKU': record.skus?.[index] || '',
+                        'Buyer Email': record.buyerEmail,
+                        'Buyer Name': record.buyerName,
+                    }, tempOrderFolder);
+                    if (!success) {
+                        throw new Error(`Could not fetch "${productName}" to rebuild order ${orderNumber}: ${error}`);
+                    }
+                }
+                await createZipFile(tempOrderFolder, zipPath, zipPassword, ['Order_*.zip', '.DS_Store']);
+            }
+
+            const delivery = await deliverOrderZip(zipPath, orderNumber);
+            // Some backends overwrite in place and keep the same ID
+            if (reusedZip && record.zipFileId !== delivery.fileId) {
+                await deleteDeliveredZip(record);
+            }
+
+            const to = email || record.buyerEmail;
+            await sendDeliveryEmail({
+                orderNumber,
+                to,
+                buyerName: record.buyerName,
+                downloadLink: delivery.downloadLink,
+                zipPassword,
+            });
+
+            const resend = { at: new Date().toISOString(), to, requestedBy, reusedZip };
+            await logOrderEvent(orderNumber, `Delivery email resent to ${to}`, {
+                deliveryBackend: delivery.backend,
+                zipFileId: delivery.fileId,
+                emailedAt: resend.at,
+                resends: [...(record.resends || []), resend],
+            });
+
+            return { orderNumber, to, reusedZip };
+        } finally {
+            deleteTempFolder(tempOrderFolder);
+        }
+    }));
 }
 
 // Function to sanitize product name to match folder structure
@@ -349,24 +617,37 @@ function extractCoreProductName(fullName) {
     }
 }
 
-// Process a single product within an order
+// Process a single product within an order; resolves to { success, error? } rather than throwing
 async function processOrderProduct(orderData, tempOrderFolder) {
     try {
-        let productName = extractCoreProductName(orderData['Product Name']);
-
-        // Find product folder and size folder
-        const productFolderId = await findProductFolder(productName);
-        if (!productFolderId) {
-            throw new Error(`❌ Product folder not found for "${productName}"`);
+        // The catalog maps listings to folders; unmatched rows fall back to the folder name
+        const catalogMatch = await findCatalogEntry(orderData);
+        let productName;
+        let productFolderId;
+
+        if (catalogMatch) {
+            productName = catalogMatch.entry.name;
+            productFolderId = catalogMatch.entry.folderId;
+            console.log(`📒 Matched "${orderData['Product Name']}" to catalog product ${productName} by ${catalogMatch.matchedBy}`);
+        } else {
+            productName = extractCoreProductName(orderData['Product Name']);
+            productFolderId = await findProductFolder(productName);
+            if (!productFolderId) {
+                throw new Error(`❌ Product folder not found for "${productName}"`);
+            }
         }
 
-        const sizeFolderId = await findSizeFolder(productFolderId);
+        // Deliver the size the buyer picked; never substitute another size
+        const selectedSize = getSelectedSize(orderData);
+        const sizeFolderId = await findSizeFolder(productFolderId, selectedSize?.folder);
         if (!sizeFolderId) {
-            throw new Error(`❌ Size folder not found inside ${productName}`);
+            throw new Error(selectedSize
+                ? `❌ Selected size "${selectedSize.label}" (folder "${selectedSize.folder}") not found inside ${productName}`
+                : `❌ Size folder not found inside ${productName}`);
         }
 
         // Download product files
-        const downloadedFiles = await downloadAllFilesInFolder(sizeFolderId, tempOrderFolder);
+        const downloadedFiles = await downloadAllFilesInFolder(sizeFolderId, tempOrderFolder, catalogMatch?.entry.files);
         if (downloadedFiles.length === 0) {
             throw new Error(`❌ No files downloaded for product: ${productName}`);
         }
@@ -393,25 +674,18 @@ async function processOrderProduct(orderData, tempOrderFolder) {
             throw error;
         }
 
-        return true;
+        return { success: true };
     } catch (error) {
-        console.error(`❌ Error processing product: ${error.message}`);
-        return false;
+        logger.error('Product could not be fetched', {
+            product: orderData['Product Name'],
+            error,
+        });
+        reportError(ERROR_CATEGORIES.ORDER, error, {
+            orderNumber: orderData['Order Number'],
+            product: orderData['Product Name'],
+        });
+        return { success: false, error: error.message.replace(/^❌\s*/, '') };
     }
 }
 
-function logError(orderData, errorMessage) {
-    const logFilePath = path.resolve(__dirname, 'errorLogs.txt');
-
-    const errorLog = `
-        Order Number: ${orderData['Order Number']}
-        Product Name: ${orderData['Product Name']}
-        Error Message: ${errorMessage}
-        Timestamp: ${new Date().toISOString()}
-    `;
-
-    fs.appendFileSync(logFilePath, errorLog, 'utf8');
-    console.log(`❌ Error logged for order ${orderData['Order Number']} in errorLogs.txt`);
-}
-
-export { processNewOrders, processAllOrders };
+export { processNewOrders, processAllOrders, reprocessOrder, resendOrderEmail, extractCoreProductName };
@@ -0,0 +1,141 @@
+import dotenv from "dotenv";
+import { getStorage } from "./storage/index.js";
+import { getMappedSizeFolders } from "./variations.js";
+
+dotenv.config();
+
+/**
+ * Product folders live under NARRARTIVE_FOLDER_ID, grouped into collections
+ * that may be nested to any depth (collection → sub-collection → product).
+ *
+ * PRODUCT_COLLECTIONS lists the collections to search, in order, with "/"
+ * for nested paths (e.g. "Digital Art,Bonus Collection/Christmas"). When it
+ * is empty every folder under the root is searched, so a new collection
+ * only needs to be created in Drive.
+ *
+ * SIZE_FOLDERS lists the size folder names in order of preference. A folder
+ * containing one of them or a SIZE_VARIATION_MAP target (or no subfolders at
+ * all) is a product; any other folder is a collection and is searched further.
+ */
+
+const DEFAULT_SIZE_FOLDERS = ["40x40", "A2"];
+const MAX_DEPTH = parseInt(process.env.PRODUCT_TREE_MAX_DEPTH || "5", 10);
+// Walking the tree costs one listing per folder, so it is only re-scanned this often
+const REFRESH_MS = parseInt(process.env.PRODUCT_TREE_REFRESH_MINUTES || "5", 10) * 60 * 1000;
+
+let cachedTree = null;
+let cachedAt = 0;
+
+function parseList(value, separator = ",") {
+    return (value || "").split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * ✅ Size folder names in order of preference (SIZE_FOLDERS, default 40x40, A2)
+ */
+export function getSizeFolders() {
+    const sizes = parseList(process.env.SIZE_FOLDERS);
+    return sizes.length > 0 ? sizes : DEFAULT_SIZE_FOLDERS;
+}
+
+/**
+ * ✅ Every folder name that counts as a size: SIZE_FOLDERS plus the SIZE_VARIATION_MAP targets
+ */
+export function getRecognisedSizeFolders() {
+    return [...new Set([...getSizeFolders(), ...getMappedSizeFolders()])];
+}
+
+/**
+ * ✅ Configured collection paths, e.g. [["Digital Art"], ["Bonus Collection", "Christmas"]]
+ * An empty list means collections are discovered from the root folder.
+ */
+export function getConfiguredCollections() {
+    return parseList(process.env.PRODUCT_COLLECTIONS).map(collection => parseList(collection, "/"));
+}
+
+async function resolveCollectionPath(rootFolderId, collectionPath) {
+    let folderId = rootFolderId;
+    for (const name of collectionPath) {
+        folderId = await getStorage().findSubfolder(folderId, name);
+        if (!folderId) return null;
+    }
+    return folderId;
+}
+
+// Depth-first, in listing order, so earlier collections win for duplicate product names
+async function walkCollection(tree, folder, path, depth) {
+    const sizeFolders = getRecognisedSizeFolders();
+    const children = await getStorage().listFolder(folder.id);
+    tree.collections.push({ id: folder.id, path: path.join("/") });
+
+    for (const child of children) {
+        if (!child.isFolder || child.id === process.env.THANK_YOU_FOLDER_ID) continue;
+
+        const grandchildren = await getStorage().listFolder(child.id);
+        const subfolders = grandchildren.filter(entry => entry.isFolder);
+        const childPath = [...path, child.name];
+
+        if (subfolders.length === 0 || subfolders.some(entry => sizeFolders.includes(entry.name))) {
+            tree.products.push({ id: child.id, name: child.name, path: childPath.join("/"), collection: path.join("/"), children: grandchildren });
+        } else if (depth + 1 >= MAX_DEPTH) {
+            tree.tooDeep.push({ id: child.id, path: childPath.join("/") });
+        } else {
+            await walkCollection(tree, child, childPath, depth + 1);
+        }
+    }
+}
+
+/**
+ * ✅ Walks the configured (or discovered) collections and lists every product folder
+ * @returns {Promise<{
+ *   collections: Array<{ id: string, path: string }>,
+ *   missingCollections: string[],
+ *   products: Array<{ id: string, name: string, path: string, collection: string, children: import("./storage/index.js").StorageFile[] }>,
+ *   tooDeep: Array<{ id: string, path: string }>,
+ * }>}
+ */
+export async function walkProductTree() {
+    const rootFolderId = process.env.NARRARTIVE_FOLDER_ID;
+    const tree = { collections: [], missingCollections: [], products: [], tooDeep: [] };
+    const configured = getConfiguredCollections();
+
+    if (configured.length === 0) {
+        await walkCollection(tree, { id: rootFolderId }, [], 0);
+        return tree;
+    }
+
+    for (const collectionPath of configured) {
+        const folderId = await resolveCollectionPath(rootFolderId, collectionPath);
+        if (!folderId) {
+            tree.missingCollections.push(collectionPath.join("/"));
+            continue;
+        }
+        await walkCollection(tree, { id: folderId }, collectionPath, collectionPath.length);
+    }
+    return tree;
+}
+
+async function getProductTree() {
+    if (!cachedTree || Date.now() - cachedAt >= REFRESH_MS) {
+        const previousCount = cachedTree?.products.length;
+        cachedTree = await walkProductTree();
+        cachedAt = Date.now();
+        if (cachedTree.products.length !== previousCount) {
+            console.log(`🌳 Indexed ${cachedTree.products.length} products in ${cachedTree.collections.length} collections`);
+        }
+    }
+    return cachedTree;
+}
+
+/**
+ * ✅ Finds a product folder by exact name anywhere in the product tree
+ * The tree is cached for PRODUCT_TREE_REFRESH_MINUTES, so a newly added
+ * product is found at the latest one refresh later; unknown names never
+ * trigger an extra scan.
+ * @param {string} productName
+ * @returns {Promise<string|null>} Folder ID
+ */
+export async function findProductInTree(productName) {
+    const tree = await getProductTree();
+    return tree.products.find(entry => entry.name === productName)?.id || null;
+}
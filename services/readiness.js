@@ -0,0 +1,112 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import transporter from "./emailHandler.js";
+import { getStorage } from "./storage/index.js";
+import { checkTrackerReadable } from "./tracker.js";
+import { getTempRoot } from "./fileUtils.js";
+
+dotenv.config();
+
+// Folders the pipeline reads from or writes to
+const FOLDER_ENV_VARS = [
+    "NARRARTIVE_FOLDER_ID",
+    "ETSY_ORDERS_FOLDER_ID",
+    "PROCESSED_ORDERS_FOLDER_ID",
+    "COMPLETED_ORDERS_FOLDER_ID",
+    "THANK_YOU_FOLDER_ID",
+    "TRACKER_FOLDER_ID",
+];
+
+const CHECK_TIMEOUT_MS = parseInt(process.env.READY_CHECK_TIMEOUT_MS || "5000", 10);
+const MIN_FREE_DISK_MB = parseInt(process.env.READY_MIN_FREE_DISK_MB || "500", 10);
+// /ready is public, so results are reused briefly rather than calling Drive and SMTP on every hit
+const CACHE_MS = parseInt(process.env.READY_CACHE_SECONDS || "15", 10) * 1000;
+
+let cachedResult = null;
+let inFlight = null;
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// A check resolves to extra details on success and throws on failure
+async function runCheck(name, check) {
+    const startedAt = Date.now();
+    try {
+        const details = await withTimeout(Promise.resolve().then(check), CHECK_TIMEOUT_MS);
+        return { name, status: "ok", latencyMs: Date.now() - startedAt, ...details };
+    } catch (error) {
+        return { name, status: "fail", latencyMs: Date.now() - startedAt, error: error.message };
+    }
+}
+
+function folderCheck(envVar) {
+    return async () => {
+        const folderId = process.env[envVar];
+        if (!folderId) throw new Error(`${envVar} is not set`);
+
+        const folder = await getStorage().getFile(folderId);
+        if (!folder) throw new Error(`Folder ${folderId} not found or not shared with the service account`);
+        if (!folder.isFolder) throw new Error(`${folderId} is not a folder`);
+        return { folder: folder.name };
+    };
+}
+
+async function smtpCheck() {
+    await transporter.verify();
+    return { host: process.env.SMTP_HOST };
+}
+
+// The temp folder may not exist between runs, so check the nearest existing parent
+async function diskCheck() {
+    let directory = getTempRoot();
+    while (!fs.existsSync(directory)) directory = path.dirname(directory);
+
+    const stats = fs.statfsSync(directory);
+    const freeMb = Math.floor((stats.bavail * stats.bsize) / (1024 * 1024));
+    if (freeMb < MIN_FREE_DISK_MB) {
+        throw new Error(`Only ${freeMb} MB free in ${directory} (minimum ${MIN_FREE_DISK_MB} MB)`);
+    }
+    return { freeMb };
+}
+
+async function runAllChecks() {
+    const results = await Promise.all([
+        ...FOLDER_ENV_VARS.map(envVar => runCheck(`storage:${envVar}`, folderCheck(envVar))),
+        runCheck("smtp", smtpCheck),
+        runCheck("tracker", checkTrackerReadable),
+        runCheck("disk", diskCheck),
+    ]);
+
+    const checks = Object.fromEntries(results.map(({ name, ...result }) => [name, result]));
+    return { ready: results.every(result => result.status === "ok"), checkedAt: new Date().toISOString(), checks };
+}
+
+/**
+ * ✅ Runs every readiness check in parallel, reusing results for READY_CACHE_SECONDS
+ * Concurrent callers share one run. Storage auth is covered by the folder
+ * checks: broken credentials fail all of them.
+ * @returns {Promise<{ ready: boolean, checkedAt: string, checks: Object<string, { status: "ok"|"fail", latencyMs: number, error?: string }> }>}
+ */
+export async function runReadinessChecks() {
+    if (cachedResult && Date.now() - new Date(cachedResult.checkedAt).getTime() < CACHE_MS) {
+        return cachedResult;
+    }
+
+    if (!inFlight) {
+        inFlight = runAllChecks()
+            .then(result => {
+                cachedResult = result;
+                return result;
+            })
+            .finally(() => {
+                inFlight = null;
+            });
+    }
+    return inFlight;
+}
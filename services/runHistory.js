@@ -0,0 +1,51 @@
+import path from "path";
+import dotenv from "dotenv";
+import { readJsonFromFile, writeJsonToFile } from "./fileUtils.js";
+
+dotenv.config();
+
+const HISTORY_PATH = process.env.RUN_HISTORY_PATH || "./data/run_history.json";
+const HISTORY_LIMIT = parseInt(process.env.RUN_HISTORY_LIMIT || "100", 10);
+
+let history = null;
+
+function loadHistory() {
+    if (!history) {
+        try {
+            history = readJsonFromFile(path.resolve(HISTORY_PATH)) || [];
+        } catch (error) {
+            console.error(`⚠️ Could not read run history, starting fresh: ${error.message}`);
+            history = [];
+        }
+    }
+    return history;
+}
+
+/**
+ * ✅ Appends a finished job run, keeping only the newest RUN_HISTORY_LIMIT entries
+ * @param {{ job: string, trigger: string, startedAt: string, finishedAt: string, durationMs: number, outcome: string, summary?: object, error?: string }} run
+ */
+export function recordRun(run) {
+    const runs = loadHistory();
+    runs.push(run);
+    if (runs.length > HISTORY_LIMIT) {
+        runs.splice(0, runs.length - HISTORY_LIMIT);
+    }
+
+    try {
+        writeJsonToFile(path.resolve(HISTORY_PATH), runs);
+    } catch (error) {
+        console.error(`⚠️ Could not persist run history: ${error.message}`);
+    }
+}
+
+/**
+ * ✅ Returns the most recent runs, newest first
+ * @param {{ limit?: number, job?: string }} options
+ */
+export function getRecentRuns({ limit = 10, job } = {}) {
+    return loadHistory()
+        .filter(run => !job || run.job === job)
+        .slice(-limit)
+        .reverse();
+}
@@ -0,0 +1,168 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import dotenv from "dotenv";
+import { getStorage } from "./storage/index.js";
+import { ensureDirectoryExists, writeJsonToFile, readJsonFromFile } from "./fileUtils.js";
+import { createRunId, getLogContext, withLogContext } from "./logger.js";
+
+dotenv.config();
+
+const LEASE_FILE_NAME = "processing.lock";
+const LEASE_TTL_MS = parseInt(process.env.RUN_LOCK_TTL_MINUTES || "15", 10) * 60 * 1000;
+const OWNER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+
+let activeRun = null;
+const stats = {
+    skippedRuns: 0,
+    lastSkippedAt: null,
+    lastSkipReason: null,
+    lastCompletedAt: null,
+};
+
+// Read every lease file in the tracker folder (more than one means two instances raced)
+async function readLeases() {
+    const storage = getStorage();
+    const files = await storage.listFolder(process.env.TRACKER_FOLDER_ID, { name: LEASE_FILE_NAME });
+    const tempDir = ensureDirectoryExists("./data");
+
+    const leases = [];
+    for (const file of files) {
+        const tempPath = path.join(tempDir, `.lease_${crypto.randomBytes(4).toString("hex")}.json`);
+        try {
+            await storage.downloadFile(file.id, tempPath);
+            leases.push({ fileId: file.id, ...readJsonFromFile(tempPath) });
+        } catch (error) {
+            console.error(`⚠️ Unreadable lease file ${file.id}: ${error.message}`);
+            leases.push({ fileId: file.id, expiresAt: 0 });
+        } finally {
+            if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+        }
+    }
+    return leases;
+}
+
+async function writeLease(existingFileId) {
+    const now = Date.now();
+    const lease = {
+        owner: OWNER_ID,
+        acquiredAt: activeRun?.lease?.acquiredAt || now,
+        expiresAt: now + LEASE_TTL_MS,
+    };
+
+    const tempPath = path.join(ensureDirectoryExists("./data"), `.lease_${OWNER_ID.replace(/[^\w-]/g, "_")}.json`);
+    writeJsonToFile(tempPath, lease);
+    try {
+        const storage = getStorage();
+        const fileId = existingFileId
+            ? (await storage.updateFile(existingFileId, tempPath, { mimeType: "application/json" })).id
+            : await storage.uploadFile(tempPath, process.env.TRACKER_FOLDER_ID, { name: LEASE_FILE_NAME, mimeType: "application/json" });
+        return { ...lease, fileId };
+    } finally {
+        fs.unlinkSync(tempPath);
+    }
+}
+
+// Take the shared lease, or return the reason another instance holds it
+async function acquireLease() {
+    const storage = getStorage();
+    const leases = await readLeases();
+
+    const held = leases.find(lease => lease.owner !== OWNER_ID && lease.expiresAt > Date.now());
+    if (held) {
+        return { acquired: false, reason: `Lease held by ${held.owner} until ${new Date(held.expiresAt).toISOString()}` };
+    }
+
+    // Expired or stale leases are taken over
+    const [reusable, ...stale] = leases;
+    for (const lease of stale) {
+        await storage.deleteFile(lease.fileId);
+    }
+    const lease = await writeLease(reusable?.fileId);
+
+    // Two instances may have created a lease at the same moment: the earliest one wins
+    const contenders = (await readLeases()).filter(entry => entry.expiresAt > Date.now());
+    contenders.sort((a, b) => a.acquiredAt - b.acquiredAt || String(a.owner).localeCompare(String(b.owner)));
+    if (contenders.length > 1 && contenders[0].owner !== OWNER_ID) {
+        await storage.deleteFile(lease.fileId);
+        return { acquired: false, reason: `Lost lease race to ${contenders[0].owner}` };
+    }
+
+    return { acquired: true, lease };
+}
+
+async function releaseLease(lease) {
+    try {
+        const current = (await readLeases()).find(entry => entry.fileId === lease.fileId);
+        if (current && current.owner === OWNER_ID) {
+            await getStorage().deleteFile(lease.fileId);
+        }
+    } catch (error) {
+        console.error(`⚠️ Failed to release run lease: ${error.message}`);
+    }
+}
+
+function recordSkip(name, reason) {
+    stats.skippedRuns += 1;
+    stats.lastSkippedAt = new Date().toISOString();
+    stats.lastSkipReason = reason;
+    console.log(`⏭️ Skipping ${name}: ${reason}`);
+}
+
+/**
+ * ✅ Runs `task` unless another processing cycle is already running
+ * Holds an in-process lock plus a lease file in TRACKER_FOLDER_ID so that
+ * several instances sharing the same Drive never process concurrently.
+ * @param {string} name - Used in logs
+ * @param {() => Promise<any>} task
+ * @returns {Promise<{ skipped: boolean, reason?: string, result?: any }>}
+ */
+export async function withRunLock(name, task) {
+    if (activeRun) {
+        recordSkip(name, `${activeRun.name} already running since ${activeRun.startedAt}`);
+        return { skipped: true, reason: stats.lastSkipReason };
+    }
+
+    activeRun = { name, startedAt: new Date().toISOString(), lease: null };
+    let renewTimer = null;
+
+    try {
+        const { acquired, reason, lease } = await acquireLease();
+        if (!acquired) {
+            recordSkip(name, reason);
+            return { skipped: true, reason };
+        }
+        activeRun.lease = lease;
+
+        // Keep the lease alive for long runs
+        renewTimer = setInterval(() => {
+            writeLease(activeRun.lease.fileId)
+                .then(renewed => { activeRun.lease = renewed; })
+                .catch(error => console.error(`⚠️ Failed to renew run lease: ${error.message}`));
+        }, LEASE_TTL_MS / 3);
+
+        // Scheduled runs already carry the job's runId; direct calls get their own
+        const runId = getLogContext().runId || createRunId();
+        const result = await withLogContext({ runId }, task);
+        stats.lastCompletedAt = new Date().toISOString();
+        return { skipped: false, result };
+    } finally {
+        clearInterval(renewTimer);
+        if (activeRun.lease) {
+            await releaseLease(activeRun.lease);
+        }
+        activeRun = null;
+    }
+}
+
+/**
+ * ✅ Current lock state and skip counters for /health
+ */
+export function getRunLockStatus() {
+    return {
+        running: Boolean(activeRun),
+        currentRun: activeRun ? { name: activeRun.name, startedAt: activeRun.startedAt } : null,
+        ...stats,
+    };
+}
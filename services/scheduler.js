@@ -0,0 +1,225 @@
+import dotenv from "dotenv";
+import { CronExpressionParser } from "cron-parser";
+import { recordRun } from "./runHistory.js";
+import { reportError, ERROR_CATEGORIES } from "./errorTracker.js";
+import { createRunId, withLogContext } from "./logger.js";
+
+dotenv.config();
+
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1; // setTimeout overflows beyond ~24.8 days
+const DEFAULT_TIMEZONE = process.env.SCHEDULER_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const jobs = new Map();
+let started = false;
+
+/**
+ * ✅ Reads a job's schedule from the environment
+ * `<PREFIX>_CRON` and `<PREFIX>_TIMEZONE` override the defaults; jobs listed in
+ * SCHEDULER_PAUSED_JOBS (comma separated job names) start paused.
+ * @param {string} name - Job name
+ * @param {string} prefix - Env prefix, e.g. "PROCESSING"
+ * @param {string} defaultCron
+ */
+export function scheduleFromEnv(name, prefix, defaultCron) {
+    const pausedJobs = (process.env.SCHEDULER_PAUSED_JOBS || "")
+        .split(",")
+        .map(entry => entry.trim())
+        .filter(Boolean);
+
+    return {
+        cron: process.env[`${prefix}_CRON`] || defaultCron,
+        timezone: process.env[`${prefix}_TIMEZONE`] || DEFAULT_TIMEZONE,
+        paused: pausedJobs.includes(name),
+    };
+}
+
+function computeNextRun(job) {
+    return CronExpressionParser.parse(job.cron, { tz: job.timezone, currentDate: new Date() })
+        .next()
+        .toDate();
+}
+
+function armTimer(job) {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRunAt = null;
+    if (!started || job.paused) return;
+
+    const nextRun = computeNextRun(job);
+    job.nextRunAt = nextRun.toISOString();
+
+    const delay = nextRun.getTime() - Date.now();
+    if (delay > MAX_TIMER_DELAY_MS) {
+        // Wake up early and re-arm; the next run is still computed from the cron expression
+        job.timer = setTimeout(() => armTimer(job), MAX_TIMER_DELAY_MS);
+        return;
+    }
+
+    job.timer = setTimeout(async () => {
+        await runJob(job.name, "schedule");
+        armTimer(job);
+    }, Math.max(delay, 0));
+}
+
+/**
+ * ✅ Registers a job with the scheduler
+ * @param {string} name - Unique job name
+ * @param {{ cron: string, timezone?: string, paused?: boolean, task: () => Promise<any> }} options
+ */
+export function registerJob(name, { cron, timezone = DEFAULT_TIMEZONE, paused = false, task }) {
+    if (jobs.has(name)) throw new Error(`Job ${name} is already registered`);
+
+    try {
+        CronExpressionParser.parse(cron, { tz: timezone });
+    } catch (error) {
+        throw new Error(`Invalid schedule for job ${name} ("${cron}" ${timezone}): ${error.message}`);
+    }
+
+    const job = {
+        name,
+        cron,
+        timezone,
+        paused,
+        task,
+        running: false,
+        timer: null,
+        nextRunAt: null,
+        lastRun: null,
+    };
+    jobs.set(name, job);
+    armTimer(job);
+    console.log(`🗓️ Registered job ${name} (${cron}, ${timezone}${paused ? ", paused" : ""})`);
+}
+
+/**
+ * ✅ Whether a job with this name is registered
+ */
+export function hasJob(name) {
+    return jobs.has(name);
+}
+
+function getJob(name) {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`Unknown job: ${name}`);
+    return job;
+}
+
+/**
+ * ✅ Runs a job now and records its outcome
+ * A job never overlaps with itself; a task resolving to `{ skipped: true }`
+ * (e.g. from withRunLock) is recorded as skipped, any other object it resolves
+ * to is kept as the run summary.
+ * @param {string} name
+ * @param {"schedule"|"manual"|"startup"} trigger
+ * @returns {Promise<object>} The recorded run
+ */
+export async function runJob(name, trigger = "manual") {
+    const job = getJob(name);
+    const startedAt = new Date();
+
+    if (job.running) {
+        console.log(`⏭️ Job ${name} is still running, skipping ${trigger} run`);
+        return { trigger, startedAt: startedAt.toISOString(), outcome: "skipped", reason: "Job already running" };
+    }
+
+    job.running = true;
+    const run = { runId: createRunId(), trigger, startedAt: startedAt.toISOString() };
+
+    // Every log line the job produces carries its runId
+    return withLogContext({ runId: run.runId, job: name }, async () => {
+        console.log(`▶️ Running job ${name} (${trigger})`);
+
+        try {
+            const result = await job.task();
+            if (result?.skipped) {
+                run.outcome = "skipped";
+                run.reason = result.reason;
+            } else {
+                run.outcome = "success";
+                if (result && typeof result === "object") run.summary = result;
+            }
+        } catch (error) {
+            run.outcome = "failed";
+            run.error = error.message;
+            console.error(`❌ Job ${name} failed: ${error.message}`);
+            reportError(ERROR_CATEGORIES.JOB, error, { job: name, trigger });
+        } finally {
+            job.running = false;
+        }
+
+        run.finishedAt = new Date().toISOString();
+        run.durationMs = Date.now() - startedAt.getTime();
+        job.lastRun = run;
+        recordRun({ job: name, ...run });
+
+        if (run.outcome === "success") {
+            console.log(`✅ Job ${name} finished in ${run.durationMs}ms`);
+        }
+        return run;
+    });
+}
+
+/**
+ * ✅ Triggers a job on demand, even when it is paused
+ */
+export function triggerJob(name) {
+    return runJob(name, "manual");
+}
+
+/**
+ * ✅ Stops a job from running on its schedule until resumed
+ */
+export function pauseJob(name) {
+    const job = getJob(name);
+    job.paused = true;
+    armTimer(job);
+    console.log(`⏸️ Paused job ${name}`);
+    return describeJob(job);
+}
+
+/**
+ * ✅ Puts a paused job back on its schedule
+ */
+export function resumeJob(name) {
+    const job = getJob(name);
+    job.paused = false;
+    armTimer(job);
+    console.log(`▶️ Resumed job ${name}`);
+    return describeJob(job);
+}
+
+function describeJob(job) {
+    return {
+        name: job.name,
+        cron: job.cron,
+        timezone: job.timezone,
+        paused: job.paused,
+        running: job.running,
+        nextRunAt: job.nextRunAt,
+        lastRun: job.lastRun,
+    };
+}
+
+/**
+ * ✅ Lists every job with its schedule, last run and next run
+ */
+export function getJobs() {
+    return [...jobs.values()].map(describeJob);
+}
+
+/**
+ * ✅ Starts the timers for every registered job
+ */
+export function startScheduler() {
+    started = true;
+    for (const job of jobs.values()) armTimer(job);
+    console.log(`🗓️ Scheduler started with ${jobs.size} job(s)`);
+}
+
+/**
+ * ✅ Clears every timer; registered jobs can still be triggered manually
+ */
+export function stopScheduler() {
+    started = false;
+    for (const job of jobs.values()) armTimer(job);
+}
@@ -0,0 +1,54 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// 1x1 transparent PNG used as a stand-in Thank You card
+const PLACEHOLDER_PNG = Buffer.from(
+    "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+    "base64"
+);
+
+const SAMPLE_PRODUCT = "Sample Print";
+
+/**
+ * ✅ Seeds LOCAL_STORAGE_ROOT with the folder layout the pipeline expects
+ * Folder IDs come from the same env vars the Drive backend uses, so a
+ * .env for local development only needs relative directory names.
+ */
+function seedLocalStorage() {
+    const root = path.resolve(process.env.LOCAL_STORAGE_ROOT || "./local_storage");
+    const folder = (envVar) => {
+        const id = process.env[envVar];
+        if (!id) throw new Error(`❌ ${envVar} must be set to a directory name for local storage`);
+        const folderPath = path.join(root, id);
+        fs.mkdirSync(folderPath, { recursive: true });
+        return folderPath;
+    };
+
+    const etsyOrders = folder("ETSY_ORDERS_FOLDER_ID");
+    folder("PROCESSED_ORDERS_FOLDER_ID");
+    folder("COMPLETED_ORDERS_FOLDER_ID");
+    folder("TRACKER_FOLDER_ID");
+    if (process.env.FAILED_ORDERS_TRACKER) folder("FAILED_ORDERS_TRACKER");
+
+    const productRoot = folder("NARRARTIVE_FOLDER_ID");
+    const sizeFolder = path.join(productRoot, "Digital Art", SAMPLE_PRODUCT, "A2");
+    fs.mkdirSync(sizeFolder, { recursive: true });
+    fs.writeFileSync(path.join(sizeFolder, `${SAMPLE_PRODUCT} A2.png`), PLACEHOLDER_PNG);
+
+    const thankYouFolder = folder("THANK_YOU_FOLDER_ID");
+    fs.writeFileSync(path.join(thankYouFolder, "Thank You.png"), PLACEHOLDER_PNG);
+
+    const csvPath = path.join(etsyOrders, "EtsySoldOrderItems_sample.csv");
+    fs.writeFileSync(csvPath, [
+        "Order Number,Buyer Name,Buyer Email,Product Name",
+        `1000001,Test Buyer,${process.env.ADMIN_EMAIL || "buyer@example.com"},${SAMPLE_PRODUCT} - Digital Download`,
+        "",
+    ].join("\n"));
+
+    console.log(`✅ Seeded local storage at ${root}`);
+}
+
+seedLocalStorage();
@@ -0,0 +1,67 @@
+import dotenv from "dotenv";
+import { createSignedToken, verifySignedToken } from "./downloadTokens.js";
+
+dotenv.config();
+
+const SESSION_COOKIE = "narrartive_session";
+const SESSION_SECRET_ENV = "SESSION_SECRET";
+
+function getSessionTtlMs() {
+    return parseInt(process.env.DASHBOARD_SESSION_HOURS || "12", 10) * 60 * 60 * 1000;
+}
+
+// A malformed %-sequence in someone else's cookie must not break authentication
+function decodeCookieValue(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+function parseCookies(header = "") {
+    return Object.fromEntries(header
+        .split(";")
+        .map(part => part.trim().split("="))
+        .filter(([name, value]) => name && value !== undefined)
+        .map(([name, ...value]) => [name, decodeCookieValue(value.join("="))]));
+}
+
+/**
+ * ✅ Starts a session by setting a signed, HttpOnly cookie
+ * @param {import('express').Response} res
+ * @param {{ username: string }} user
+ */
+export function startSession(res, user) {
+    const ttlMs = getSessionTtlMs();
+    const token = createSignedToken({ username: user.username }, ttlMs, SESSION_SECRET_ENV);
+    const secure = (process.env.PUBLIC_BASE_URL || "").startsWith("https://");
+
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: "strict",
+        secure,
+        maxAge: ttlMs,
+        path: "/",
+    });
+}
+
+/**
+ * ✅ Ends the current session
+ */
+export function endSession(res) {
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+}
+
+/**
+ * ✅ Returns the signed-in user for a request, or null
+ * @param {import('express').Request} req
+ * @returns {{ username: string }|null}
+ */
+export function getSessionUser(req) {
+    const token = parseCookies(req.get("cookie"))[SESSION_COOKIE];
+    if (!token || !process.env[SESSION_SECRET_ENV]) return null;
+
+    const result = verifySignedToken(token, SESSION_SECRET_ENV);
+    return result.valid ? { username: result.payload.username } : null;
+}
@@ -0,0 +1,204 @@
+import path from "path";
+import Database from "better-sqlite3";
+import dotenv from "dotenv";
+import { ensureDirectoryExists } from "./fileUtils.js";
+import { assertRevision, bumpRevision } from "./trackerRevision.js";
+
+dotenv.config();
+
+const DB_PATH = process.env.SQLITE_TRACKER_PATH || "./data/tracker.db";
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+    CREATE TABLE IF NOT EXISTS processed_files (
+        file_name TEXT NOT NULL,
+        order_number TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (file_name, order_number)
+    );
+    CREATE TABLE IF NOT EXISTS orders (
+        order_number TEXT PRIMARY KEY,
+        state TEXT,
+        updated_at TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS orders_state ON orders (state);
+    CREATE TABLE IF NOT EXISTS failures (
+        key TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS skipped_files (
+        file_name TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS notifications (
+        cache_key TEXT PRIMARY KEY,
+        order_number TEXT,
+        sent_at TEXT NOT NULL
+    );
+`;
+
+let db = null;
+
+/**
+ * ✅ Opens (and migrates) the SQLite tracker database
+ * @returns {import("better-sqlite3").Database}
+ */
+export function openTrackerDatabase() {
+    if (!db) {
+        ensureDirectoryExists(path.dirname(DB_PATH));
+        db = new Database(DB_PATH);
+        db.pragma("journal_mode = WAL");
+        db.exec(SCHEMA);
+        console.log(`🗃️ Opened SQLite tracker store: ${DB_PATH}`);
+    }
+    return db;
+}
+
+function getMeta(key) {
+    return openTrackerDatabase().prepare("SELECT value FROM meta WHERE key = ?").get(key)?.value;
+}
+
+function setMeta(key, value) {
+    openTrackerDatabase()
+        .prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value")
+        .run(key, value);
+}
+
+/**
+ * ✅ Whether the JSON trackers still need to be imported into this database
+ */
+export function needsLegacyImport() {
+    return !getMeta("legacy_imported_at");
+}
+
+export function markLegacyImported() {
+    setMeta("legacy_imported_at", new Date().toISOString());
+}
+
+function getStoredRevision(documentName) {
+    return parseInt(getMeta(`${documentName}_revision`) || "0", 10);
+}
+
+// Check and bump a document's revision inside the surrounding write transaction
+function claimRevision(documentName, document) {
+    assertRevision(documentName, document, getStoredRevision(documentName));
+    bumpRevision(document);
+    setMeta(`${documentName}_revision`, String(document._meta.revision));
+}
+
+/** ===============================
+ * ✅ Processed Orders Tracker
+ * =============================== */
+export function readTrackerFromDb() {
+    const database = openTrackerDatabase();
+    const tracker = {
+        processedOrders: {},
+        orders: {},
+        _meta: { revision: getStoredRevision("processed_tracker") },
+    };
+
+    const files = database
+        .prepare("SELECT file_name, order_number FROM processed_files ORDER BY file_name, position")
+        .all();
+    for (const { file_name: fileName, order_number: orderNumber } of files) {
+        (tracker.processedOrders[fileName] = tracker.processedOrders[fileName] || []).push(orderNumber);
+    }
+
+    for (const { order_number: orderNumber, data } of database.prepare("SELECT order_number, data FROM orders").all()) {
+        tracker.orders[orderNumber] = JSON.parse(data);
+    }
+
+    return tracker;
+}
+
+export function writeTrackerToDb(tracker) {
+    const database = openTrackerDatabase();
+
+    database.transaction(() => {
+        claimRevision("processed_tracker", tracker);
+
+        database.prepare("DELETE FROM processed_files").run();
+        const insertFile = database.prepare(
+            "INSERT OR IGNORE INTO processed_files (file_name, order_number, position) VALUES (?, ?, ?)"
+        );
+        for (const [fileName, orderNumbers] of Object.entries(tracker.processedOrders || {})) {
+            orderNumbers.forEach((orderNumber, position) => insertFile.run(fileName, String(orderNumber), position));
+        }
+
+        const orders = tracker.orders || {};
+        const upsertOrder = database.prepare(`
+            INSERT INTO orders (order_number, state, updated_at, data) VALUES (?, ?, ?, ?)
+            ON CONFLICT(order_number) DO UPDATE SET
+                state = excluded.state, updated_at = excluded.updated_at, data = excluded.data
+        `);
+        for (const [orderNumber, order] of Object.entries(orders)) {
+            upsertOrder.run(orderNumber, order.state || null, order.updatedAt || null, JSON.stringify(order));
+        }
+
+        const deleteOrder = database.prepare("DELETE FROM orders WHERE order_number = ?");
+        for (const { order_number: orderNumber } of database.prepare("SELECT order_number FROM orders").all()) {
+            if (!orders[orderNumber]) deleteOrder.run(orderNumber);
+        }
+    })();
+}
+
+/** ===============================
+ * ✅ Failed Orders Tracker
+ * =============================== */
+export function readFailedOrdersFromDb() {
+    const database = openTrackerDatabase();
+    const failedOrders = {
+        skippedFiles: {},
+        _meta: { revision: getStoredRevision("failed_orders") },
+    };
+
+    for (const { key, data } of database.prepare("SELECT key, data FROM failures").all()) {
+        failedOrders[key] = JSON.parse(data);
+    }
+    for (const { file_name: fileName, data } of database.prepare("SELECT file_name, data FROM skipped_files").all()) {
+        failedOrders.skippedFiles[fileName] = JSON.parse(data);
+    }
+
+    return failedOrders;
+}
+
+export function writeFailedOrdersToDb(failedOrders) {
+    const database = openTrackerDatabase();
+    database.transaction(() => {
+        claimRevision("failed_orders", failedOrders);
+        const { skippedFiles = {}, _meta, ...failures } = failedOrders;
+
+        database.prepare("DELETE FROM failures").run();
+        const insertFailure = database.prepare("INSERT INTO failures (key, data) VALUES (?, ?)");
+        for (const [key, value] of Object.entries(failures)) {
+            insertFailure.run(key, JSON.stringify(value));
+        }
+
+        database.prepare("DELETE FROM skipped_files").run();
+        const insertSkipped = database.prepare("INSERT INTO skipped_files (file_name, data) VALUES (?, ?)");
+        for (const [fileName, value] of Object.entries(skippedFiles)) {
+            insertSkipped.run(fileName, JSON.stringify(value));
+        }
+    })();
+}
+
+/** ===============================
+ * ✅ Sent Notifications
+ * =============================== */
+export function hasNotificationInDb(cacheKey) {
+    return Boolean(openTrackerDatabase().prepare("SELECT 1 FROM notifications WHERE cache_key = ?").get(cacheKey));
+}
+
+export function recordNotificationInDb(cacheKey, orderNumber) {
+    openTrackerDatabase()
+        .prepare("INSERT OR IGNORE INTO notifications (cache_key, order_number, sent_at) VALUES (?, ?, ?)")
+        .run(cacheKey, orderNumber == null ? null : String(orderNumber), new Date().toISOString());
+}
+
+export function clearNotificationsInDb() {
+    openTrackerDatabase().prepare("DELETE FROM notifications").run();
+}
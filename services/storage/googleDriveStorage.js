@@ -0,0 +1,170 @@
+import fs from "fs";
+import path from "path";
+import { google } from "googleapis";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const FOLDER_MIME_TYPE = "application/vnd.google-apps.folder";
+const GOOGLE_DOC_MIME_TYPE = "application/vnd.google-apps.document";
+const FILE_FIELDS = "id, name, mimeType, createdTime, modifiedTime, trashed, version";
+
+// Escape a value for use inside a single-quoted Drive query string
+function escapeQueryValue(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+}
+
+function toStorageFile(file) {
+    return {
+        id: file.id,
+        name: file.name,
+        mimeType: file.mimeType,
+        createdTime: file.createdTime,
+        modifiedTime: file.modifiedTime,
+        trashed: file.trashed,
+        version: file.version,
+        isFolder: file.mimeType === FOLDER_MIME_TYPE,
+    };
+}
+
+/**
+ * ✅ Creates the Google Drive storage adapter
+ * This is the only place in the service that builds a `google.drive` client.
+ */
+export function createGoogleDriveStorage() {
+    if (!process.env.GOOGLE_CLIENT_EMAIL || !process.env.GOOGLE_PRIVATE_KEY) {
+        console.error("⚠️ Missing Google Drive credentials in environment variables");
+    }
+
+    const auth = new google.auth.JWT({
+        email: process.env.GOOGLE_CLIENT_EMAIL,
+        key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, "\n"), // Fix escape issues
+        scopes: ["https://www.googleapis.com/auth/drive"],
+    });
+
+    const drive = google.drive({ version: "v3", auth });
+
+    async function listFolder(folderId, { name, mimeType, foldersOnly = false } = {}) {
+        const query = [`'${escapeQueryValue(folderId)}' in parents`, "trashed = false"];
+        if (name) query.push(`name = '${escapeQueryValue(name)}'`);
+        if (mimeType) query.push(`mimeType = '${escapeQueryValue(mimeType)}'`);
+        if (foldersOnly) query.push(`mimeType = '${FOLDER_MIME_TYPE}'`);
+
+        const files = [];
+        let pageToken;
+        do {
+            const response = await drive.files.list({
+                q: query.join(" and "),
+                fields: `nextPageToken, files(${FILE_FIELDS})`,
+                pageSize: 1000,
+                pageToken,
+            });
+            files.push(...(response.data.files || []));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+
+        return files.map(toStorageFile);
+    }
+
+    async function getFile(fileId) {
+        try {
+            const response = await drive.files.get({ fileId, fields: FILE_FIELDS });
+            return toStorageFile(response.data);
+        } catch (error) {
+            if (error.code === 404) return null;
+            throw error;
+        }
+    }
+
+    async function findSubfolder(parentFolderId, subfolderName) {
+        const folders = await listFolder(parentFolderId, { name: subfolderName, foldersOnly: true });
+        return folders.length ? folders[0].id : null;
+    }
+
+    async function downloadFile(fileId, destinationPath, { mimeType } = {}) {
+        // Google Docs have no binary content and must be exported instead
+        const response = mimeType === GOOGLE_DOC_MIME_TYPE
+            ? await drive.files.export({ fileId, mimeType: "text/plain" }, { responseType: "stream" })
+            : await drive.files.get({ fileId, alt: "media" }, { responseType: "stream" });
+
+        // Remove existing file if it exists
+        if (fs.existsSync(destinationPath)) {
+            fs.unlinkSync(destinationPath);
+        }
+
+        const dest = fs.createWriteStream(destinationPath);
+        response.data.pipe(dest);
+
+        return new Promise((resolve, reject) => {
+            dest.on("finish", resolve);
+            dest.on("error", reject);
+            response.data.on("error", reject);
+        });
+    }
+
+    async function openReadStream(fileId) {
+        const response = await drive.files.get({ fileId, alt: "media" }, { responseType: "stream" });
+        return response.data;
+    }
+
+    async function uploadFile(filePath, parentFolderId, { name, mimeType = "application/octet-stream" } = {}) {
+        const response = await drive.files.create({
+            requestBody: {
+                name: name || path.basename(filePath),
+                parents: [parentFolderId],
+            },
+            media: {
+                mimeType,
+                body: fs.createReadStream(filePath),
+            },
+            fields: "id",
+        });
+
+        return response.data.id;
+    }
+
+    // Replaces the content in place; Drive keeps the previous content as a revision
+    async function updateFile(fileId, filePath, { mimeType = "application/octet-stream" } = {}) {
+        const response = await drive.files.update({
+            fileId,
+            media: {
+                mimeType,
+                body: fs.createReadStream(filePath),
+            },
+            fields: FILE_FIELDS,
+        });
+
+        return toStorageFile(response.data);
+    }
+
+    async function moveFile(fileId, newParentId, oldParentId) {
+        await drive.files.update({
+            fileId,
+            addParents: newParentId,
+            removeParents: oldParentId,
+            fields: "id, parents",
+        });
+    }
+
+    async function deleteFile(fileId) {
+        await drive.files.delete({ fileId });
+    }
+
+    function getShareLink(fileId) {
+        return `https://drive.google.com/file/d/${fileId}/view?usp=sharing`;
+    }
+
+    return {
+        name: "google-drive",
+        listFolder,
+        getFile,
+        findSubfolder,
+        downloadFile,
+        openReadStream,
+        uploadFile,
+        updateFile,
+        moveFile,
+        deleteFile,
+        getShareLink,
+    };
+}
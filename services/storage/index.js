@@ -0,0 +1,98 @@
+import dotenv from "dotenv";
+import { createGoogleDriveStorage } from "./googleDriveStorage.js";
+import { createLocalFileStorage } from "./localFileStorage.js";
+import { createMegaStorage } from "./megaStorage.js";
+import { createS3Storage } from "./s3Storage.js";
+import { storageCalls, storageErrors } from "../metrics.js";
+
+dotenv.config();
+
+/**
+ * Storage provider interface shared by every backend.
+ *
+ * Folder and file IDs are opaque strings owned by the adapter.
+ *
+ * @typedef {Object} StorageFile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [mimeType]
+ * @property {string} [createdTime] - ISO timestamp
+ * @property {string} [modifiedTime] - ISO timestamp
+ * @property {string} [version] - Changes whenever the content changes (Drive version, ETag, mtime)
+ * @property {boolean} isFolder
+ *
+ * @typedef {Object} StorageProvider
+ * @property {string} name
+ * @property {(folderId: string, filter?: { name?: string, mimeType?: string, foldersOnly?: boolean }) => Promise<StorageFile[]>} listFolder
+ * @property {(fileId: string) => Promise<StorageFile|null>} getFile
+ * @property {(parentFolderId: string, name: string) => Promise<string|null>} findSubfolder
+ * @property {(fileId: string, destinationPath: string, options?: { mimeType?: string }) => Promise<void>} downloadFile
+ * @property {(fileId: string) => Promise<import("stream").Readable>} openReadStream
+ * @property {(filePath: string, parentFolderId: string, options?: { name?: string, mimeType?: string }) => Promise<string>} uploadFile
+ * @property {(fileId: string, filePath: string, options?: { mimeType?: string }) => Promise<StorageFile>} updateFile - Replaces content, keeping the ID where the backend allows
+ * @property {(fileId: string, newParentId: string, oldParentId: string) => Promise<void>} moveFile
+ * @property {(fileId: string) => Promise<void>} deleteFile
+ * @property {(fileId: string, options?: { expiresInSeconds?: number }) => string|Promise<string>} getShareLink - Expiry is honoured by backends that support it
+ */
+
+const adapters = {
+    "google-drive": createGoogleDriveStorage,
+    local: createLocalFileStorage,
+    mega: createMegaStorage,
+    s3: createS3Storage,
+};
+
+const instances = new Map();
+
+/**
+ * ✅ Returns the storage provider for a backend (default: STORAGE_BACKEND, "google-drive" or "local")
+ * Providers are created once per backend and shared.
+ * @param {string} [backend]
+ * @returns {StorageProvider}
+ */
+export function getStorage(backend = process.env.STORAGE_BACKEND || "google-drive") {
+    if (!instances.has(backend)) {
+        instances.set(backend, createStorage(backend));
+    }
+    return instances.get(backend);
+}
+
+/**
+ * ✅ Builds a storage provider by backend name
+ * @param {string} backend
+ * @returns {StorageProvider}
+ */
+export function createStorage(backend) {
+    const factory = adapters[backend];
+    if (!factory) {
+        throw new Error(`❌ Unknown storage backend: ${backend}`);
+    }
+    console.log(`🗄️ Using ${backend} storage backend`);
+    return instrumentStorage(backend, factory());
+}
+
+// Count every provider call (and failure) per backend and operation for /metrics
+function instrumentStorage(backend, provider) {
+    const instrumented = { ...provider };
+    for (const [operation, method] of Object.entries(provider)) {
+        if (typeof method !== "function") continue;
+
+        instrumented[operation] = (...args) => {
+            const labels = { backend, operation };
+            storageCalls.inc(labels);
+            try {
+                const result = method.apply(provider, args);
+                // getShareLink may be synchronous
+                if (typeof result?.then !== "function") return result;
+                return result.catch(error => {
+                    storageErrors.inc(labels);
+                    throw error;
+                });
+            } catch (error) {
+                storageErrors.inc(labels);
+                throw error;
+            }
+        };
+    }
+    return instrumented;
+}
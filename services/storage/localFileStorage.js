@@ -0,0 +1,133 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { mimeTypeFor } from "./mimeTypes.js";
+
+dotenv.config();
+
+/**
+ * ✅ Creates the local-filesystem storage adapter
+ * Folder and file IDs are paths relative to LOCAL_STORAGE_ROOT, so setting
+ * e.g. ETSY_ORDERS_FOLDER_ID=etsy_orders points the pipeline at
+ * <LOCAL_STORAGE_ROOT>/etsy_orders.
+ */
+export function createLocalFileStorage() {
+    const root = path.resolve(process.env.LOCAL_STORAGE_ROOT || "./local_storage");
+    fs.mkdirSync(root, { recursive: true });
+    console.log(`📁 Local storage root: ${root}`);
+
+    // Resolve an ID to an absolute path, refusing anything outside the root
+    function resolveId(id) {
+        const absolutePath = path.resolve(root, id || ".");
+        if (absolutePath !== root && !absolutePath.startsWith(root + path.sep)) {
+            throw new Error(`❌ Path escapes local storage root: ${id}`);
+        }
+        return absolutePath;
+    }
+
+    function toId(absolutePath) {
+        return path.relative(root, absolutePath).split(path.sep).join("/");
+    }
+
+    function toStorageFile(absolutePath) {
+        const stats = fs.statSync(absolutePath);
+        const isFolder = stats.isDirectory();
+        return {
+            id: toId(absolutePath),
+            name: path.basename(absolutePath),
+            mimeType: isFolder
+                ? "inode/directory"
+                : mimeTypeFor(absolutePath),
+            createdTime: (stats.birthtimeMs ? stats.birthtime : stats.ctime).toISOString(),
+            modifiedTime: stats.mtime.toISOString(),
+            trashed: false,
+            version: String(stats.mtimeMs),
+            isFolder,
+        };
+    }
+
+    async function listFolder(folderId, { name, mimeType, foldersOnly = false } = {}) {
+        const folderPath = resolveId(folderId);
+        if (!fs.existsSync(folderPath)) {
+            throw new Error(`❌ Local folder not found: ${folderId}`);
+        }
+
+        return fs.readdirSync(folderPath)
+            .filter(entry => !entry.startsWith("."))
+            .map(entry => toStorageFile(path.join(folderPath, entry)))
+            .filter(file => !name || file.name === name)
+            .filter(file => !mimeType || file.mimeType === mimeType)
+            .filter(file => !foldersOnly || file.isFolder);
+    }
+
+    async function getFile(fileId) {
+        const filePath = resolveId(fileId);
+        return fs.existsSync(filePath) ? toStorageFile(filePath) : null;
+    }
+
+    async function findSubfolder(parentFolderId, subfolderName) {
+        // Through resolveId so a name like "../x" can't leave the root
+        const folderPath = resolveId(path.join(parentFolderId || ".", subfolderName));
+        if (fs.existsSync(folderPath) && fs.statSync(folderPath).isDirectory()) {
+            return toId(folderPath);
+        }
+        return null;
+    }
+
+    async function downloadFile(fileId, destinationPath) {
+        fs.copyFileSync(resolveId(fileId), destinationPath);
+    }
+
+    async function openReadStream(fileId) {
+        return fs.createReadStream(resolveId(fileId));
+    }
+
+    async function uploadFile(filePath, parentFolderId, { name } = {}) {
+        const folderPath = resolveId(parentFolderId);
+        fs.mkdirSync(folderPath, { recursive: true });
+
+        // Replace rather than overwrite so an upload always gets a fresh createdTime
+        const targetPath = path.join(folderPath, name || path.basename(filePath));
+        fs.rmSync(targetPath, { force: true });
+        fs.copyFileSync(filePath, targetPath);
+        return toId(targetPath);
+    }
+
+    // Copy next to the target and rename over it so readers never see a partial file
+    async function updateFile(fileId, filePath) {
+        const targetPath = resolveId(fileId);
+        const tempPath = `${targetPath}.tmp-${process.pid}`;
+        fs.copyFileSync(filePath, tempPath);
+        fs.renameSync(tempPath, targetPath);
+        return toStorageFile(targetPath);
+    }
+
+    async function moveFile(fileId, newParentId) {
+        const sourcePath = resolveId(fileId);
+        const folderPath = resolveId(newParentId);
+        fs.mkdirSync(folderPath, { recursive: true });
+        fs.renameSync(sourcePath, path.join(folderPath, path.basename(sourcePath)));
+    }
+
+    async function deleteFile(fileId) {
+        fs.rmSync(resolveId(fileId), { recursive: true, force: true });
+    }
+
+    function getShareLink(fileId) {
+        return `file://${resolveId(fileId)}`;
+    }
+
+    return {
+        name: "local",
+        listFolder,
+        getFile,
+        findSubfolder,
+        downloadFile,
+        openReadStream,
+        uploadFile,
+        updateFile,
+        moveFile,
+        deleteFile,
+        getShareLink,
+    };
+}
@@ -0,0 +1,166 @@
+import fs from "fs";
+import path from "path";
+import { Storage } from "megajs";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+function toStorageFile(node) {
+    return {
+        id: node.nodeId,
+        name: node.name,
+        mimeType: node.directory ? "inode/directory" : "application/octet-stream",
+        createdTime: node.timestamp ? new Date(node.createdAt).toISOString() : undefined,
+        modifiedTime: node.timestamp ? new Date(node.createdAt).toISOString() : undefined,
+        trashed: false,
+        version: node.timestamp ? String(node.timestamp) : undefined,
+        isFolder: node.directory,
+    };
+}
+
+/**
+ * ✅ Creates the MEGA storage adapter
+ * IDs are MEGA node handles; folder IDs may also be slash-separated paths
+ * from the account root (e.g. "narrARTive/Deliveries"), which are created
+ * on upload if they do not exist yet.
+ */
+export function createMegaStorage() {
+    if (!process.env.MEGA_EMAIL || !process.env.MEGA_PASSWORD) {
+        console.error("⚠️ Missing MEGA_EMAIL or MEGA_PASSWORD in environment variables");
+    }
+
+    let session = null;
+
+    // Log in once and reuse the session for every call
+    function connect() {
+        if (!session) {
+            session = new Storage({
+                email: process.env.MEGA_EMAIL,
+                password: process.env.MEGA_PASSWORD,
+                keepalive: false,
+            }).ready.catch(error => {
+                session = null;
+                throw new Error(`❌ MEGA login failed: ${error.message}`);
+            });
+        }
+        return session;
+    }
+
+    async function resolveNode(id) {
+        const mega = await connect();
+        return mega.files[id] || (id ? mega.root.navigate(id) : mega.root) || null;
+    }
+
+    async function ensureFolder(folderId) {
+        const existing = await resolveNode(folderId);
+        if (existing) return existing;
+
+        // Create every missing segment of a folder path
+        let folder = (await connect()).root;
+        for (const segment of folderId.split("/").filter(Boolean)) {
+            folder = folder.children?.find(child => child.directory && child.name === segment)
+                || await folder.mkdir(segment);
+        }
+        return folder;
+    }
+
+    async function listFolder(folderId, { name, foldersOnly = false } = {}) {
+        const folder = await resolveNode(folderId);
+        if (!folder || !folder.directory) {
+            throw new Error(`❌ MEGA folder not found: ${folderId}`);
+        }
+
+        return (folder.children || [])
+            .filter(node => !name || node.name === name)
+            .filter(node => !foldersOnly || node.directory)
+            .map(toStorageFile);
+    }
+
+    async function getFile(fileId) {
+        const node = await resolveNode(fileId);
+        return node ? toStorageFile(node) : null;
+    }
+
+    async function findSubfolder(parentFolderId, subfolderName) {
+        const folders = await listFolder(parentFolderId, { name: subfolderName, foldersOnly: true });
+        return folders.length ? folders[0].id : null;
+    }
+
+    async function downloadFile(fileId, destinationPath) {
+        const node = await resolveNode(fileId);
+        if (!node) throw new Error(`❌ MEGA file not found: ${fileId}`);
+
+        const dest = fs.createWriteStream(destinationPath);
+        const source = node.download({});
+        source.pipe(dest);
+
+        return new Promise((resolve, reject) => {
+            dest.on("finish", resolve);
+            dest.on("error", reject);
+            source.on("error", reject);
+        });
+    }
+
+    async function openReadStream(fileId) {
+        const node = await resolveNode(fileId);
+        if (!node) throw new Error(`❌ MEGA file not found: ${fileId}`);
+        return node.download({});
+    }
+
+    async function uploadFile(filePath, parentFolderId, { name } = {}) {
+        const folder = await ensureFolder(parentFolderId);
+        const upload = folder.upload({
+            name: name || path.basename(filePath),
+            size: fs.statSync(filePath).size,
+        });
+
+        fs.createReadStream(filePath).pipe(upload);
+        const file = await upload.complete;
+        return file.nodeId;
+    }
+
+    // MEGA has no in-place update: upload a replacement, then remove the old node
+    async function updateFile(fileId, filePath) {
+        const node = await resolveNode(fileId);
+        if (!node) throw new Error(`❌ MEGA file not found: ${fileId}`);
+
+        const upload = node.parent.upload({ name: node.name, size: fs.statSync(filePath).size });
+        fs.createReadStream(filePath).pipe(upload);
+        const replacement = await upload.complete;
+
+        await node.delete(true);
+        return toStorageFile(replacement);
+    }
+
+    async function moveFile(fileId, newParentId) {
+        const node = await resolveNode(fileId);
+        if (!node) throw new Error(`❌ MEGA file not found: ${fileId}`);
+        await node.moveTo(await ensureFolder(newParentId));
+    }
+
+    async function deleteFile(fileId) {
+        const node = await resolveNode(fileId);
+        if (!node) return;
+        await node.delete(true); // Permanently, skipping the MEGA rubbish bin
+    }
+
+    async function getShareLink(fileId) {
+        const node = await resolveNode(fileId);
+        if (!node) throw new Error(`❌ MEGA file not found: ${fileId}`);
+        return node.link({ noKey: false });
+    }
+
+    return {
+        name: "mega",
+        listFolder,
+        getFile,
+        findSubfolder,
+        downloadFile,
+        openReadStream,
+        uploadFile,
+        updateFile,
+        moveFile,
+        deleteFile,
+        getShareLink,
+    };
+}
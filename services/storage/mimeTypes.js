@@ -0,0 +1,21 @@
+import path from "path";
+
+const MIME_TYPES = {
+    ".csv": "text/csv",
+    ".json": "application/json",
+    ".txt": "text/plain",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".pdf": "application/pdf",
+    ".zip": "application/zip",
+};
+
+/**
+ * ✅ Guesses a MIME type from a file name for backends that do not store one
+ * @param {string} fileName
+ * @returns {string}
+ */
+export function mimeTypeFor(fileName) {
+    return MIME_TYPES[path.extname(fileName).toLowerCase()] || "application/octet-stream";
+}
@@ -0,0 +1,201 @@
+import fs from "fs";
+import path from "path";
+import {
+    S3Client,
+    ListObjectsV2Command,
+    HeadObjectCommand,
+    GetObjectCommand,
+    PutObjectCommand,
+    CopyObjectCommand,
+    DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import dotenv from "dotenv";
+import { mimeTypeFor } from "./mimeTypes.js";
+
+dotenv.config();
+
+const DEFAULT_LINK_EXPIRY_SECONDS = 24 * 60 * 60;
+
+// Folder IDs are key prefixes without the trailing slash
+function toPrefix(folderId) {
+    const trimmed = (folderId || "").replace(/^\/+|\/+$/g, "");
+    return trimmed ? `${trimmed}/` : "";
+}
+
+/**
+ * ✅ Creates the S3-compatible storage adapter
+ * Works against AWS S3 or any S3 API (MinIO, R2, ...) via S3_ENDPOINT.
+ * Folder IDs are key prefixes and file IDs are object keys.
+ */
+export function createS3Storage() {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        console.error("⚠️ Missing S3_BUCKET in environment variables");
+    }
+
+    const client = new S3Client({
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true", // Required by MinIO
+        credentials: process.env.S3_ACCESS_KEY_ID
+            ? {
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            }
+            : undefined,
+    });
+
+    async function listFolder(folderId, { name, mimeType, foldersOnly = false } = {}) {
+        const prefix = toPrefix(folderId);
+        const files = [];
+        let continuationToken;
+
+        do {
+            const response = await client.send(new ListObjectsV2Command({
+                Bucket: bucket,
+                Prefix: prefix,
+                Delimiter: "/",
+                ContinuationToken: continuationToken,
+            }));
+
+            for (const folder of response.CommonPrefixes || []) {
+                const id = folder.Prefix.slice(0, -1);
+                files.push({ id, name: path.posix.basename(id), mimeType: "inode/directory", isFolder: true });
+            }
+            for (const object of response.Contents || []) {
+                if (object.Key === prefix) continue; // Folder placeholder object
+                const fileName = path.posix.basename(object.Key);
+                files.push({
+                    id: object.Key,
+                    name: fileName,
+                    mimeType: mimeTypeFor(fileName),
+                    createdTime: object.LastModified?.toISOString(),
+                    modifiedTime: object.LastModified?.toISOString(),
+                    version: object.ETag,
+                    isFolder: false,
+                });
+            }
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return files
+            .filter(file => !name || file.name === name)
+            .filter(file => !mimeType || file.mimeType === mimeType)
+            .filter(file => !foldersOnly || file.isFolder);
+    }
+
+    async function getFile(fileId) {
+        try {
+            const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: fileId }));
+            return {
+                id: fileId,
+                name: path.posix.basename(fileId),
+                mimeType: response.ContentType || mimeTypeFor(fileId),
+                createdTime: response.LastModified?.toISOString(),
+                modifiedTime: response.LastModified?.toISOString(),
+                version: response.ETag,
+                isFolder: false,
+            };
+        } catch (error) {
+            if (error.$metadata?.httpStatusCode !== 404) throw error;
+        }
+
+        // Not an object: treat it as a folder if anything lives under the prefix
+        const response = await client.send(new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: toPrefix(fileId),
+            MaxKeys: 1,
+        }));
+        if (!response.KeyCount) return null;
+        return { id: fileId, name: path.posix.basename(fileId), mimeType: "inode/directory", isFolder: true };
+    }
+
+    async function findSubfolder(parentFolderId, subfolderName) {
+        const folders = await listFolder(parentFolderId, { name: subfolderName, foldersOnly: true });
+        return folders.length ? folders[0].id : null;
+    }
+
+    async function downloadFile(fileId, destinationPath) {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: fileId }));
+
+        const dest = fs.createWriteStream(destinationPath);
+        response.Body.pipe(dest);
+
+        return new Promise((resolve, reject) => {
+            dest.on("finish", resolve);
+            dest.on("error", reject);
+            response.Body.on("error", reject);
+        });
+    }
+
+    async function openReadStream(fileId) {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: fileId }));
+        return response.Body;
+    }
+
+    async function uploadFile(filePath, parentFolderId, { name, mimeType } = {}) {
+        const key = `${toPrefix(parentFolderId)}${name || path.basename(filePath)}`;
+        await client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: fs.createReadStream(filePath),
+            ContentLength: fs.statSync(filePath).size,
+            ContentType: mimeType || mimeTypeFor(filePath),
+        }));
+        return key;
+    }
+
+    // S3 PUTs are atomic, so overwriting the key is an in-place update
+    async function updateFile(fileId, filePath, { mimeType } = {}) {
+        await client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: fileId,
+            Body: fs.createReadStream(filePath),
+            ContentLength: fs.statSync(filePath).size,
+            ContentType: mimeType || mimeTypeFor(fileId),
+        }));
+        return getFile(fileId);
+    }
+
+    async function moveFile(fileId, newParentId) {
+        const newKey = `${toPrefix(newParentId)}${path.posix.basename(fileId)}`;
+        await client.send(new CopyObjectCommand({
+            Bucket: bucket,
+            Key: newKey,
+            CopySource: encodeURI(`${bucket}/${fileId}`),
+        }));
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: fileId }));
+    }
+
+    async function deleteFile(fileId) {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: fileId }));
+    }
+
+    // Presigned GET URL; S3 refuses to serve it once expiresInSeconds has passed
+    async function getShareLink(fileId, { expiresInSeconds = DEFAULT_LINK_EXPIRY_SECONDS } = {}) {
+        return getSignedUrl(
+            client,
+            new GetObjectCommand({
+                Bucket: bucket,
+                Key: fileId,
+                ResponseContentDisposition: `attachment; filename="${path.posix.basename(fileId)}"`,
+            }),
+            { expiresIn: expiresInSeconds }
+        );
+    }
+
+    return {
+        name: "s3",
+        listFolder,
+        getFile,
+        findSubfolder,
+        downloadFile,
+        openReadStream,
+        uploadFile,
+        updateFile,
+        moveFile,
+        deleteFile,
+        getShareLink,
+    };
+}
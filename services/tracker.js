@@ -1,5 +1,4 @@
 import fs from "fs";
-import { google } from "googleapis";
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from 'url';
@@ -11,6 +10,11 @@ import { sendEmail } from './emailHandler.js';
 import { downloadAllFilesInFolder, findProductFolder, findSizeFolder, downloadFileFromDrive, uploadFileToDrive, moveFileToFolder } from './driveUtils.js';
 import { processAllOrders } from './orders.js';
 import { readJsonFromFile, writeJsonToFile, ensureDirectoryExists, deleteTempFolder } from './fileUtils.js';
+import { getStorage } from './storage/index.js';
+import { ORDER_STATES, transitionOrder, recordOrderEvent } from './orderState.js';
+import * as sqliteStore from './sqliteTrackerStore.js';
+import { TrackerConflictError, assertRevision, bumpRevision, getRevision } from './trackerRevision.js';
+import { reportError, ERROR_CATEGORIES } from './errorTracker.js';
 
 // Define __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -28,107 +32,297 @@ const EMAIL_PASS = process.env.BREVO_SMTP_KEY;
 const EMAIL_HOST = process.env.SMTP_HOST;
 const EMAIL_PORT = process.env.SMTP_PORT;
 
-// ✅ Google Drive Authentication
-const auth = new google.auth.JWT({
-    email: process.env.GOOGLE_CLIENT_EMAIL,
-    key: process.env.GOOGLE_PRIVATE_KEY ? 
-        process.env.GOOGLE_PRIVATE_KEY.split(String.raw`\n`).join('\n') : 
-        undefined,
-    scopes: ["https://www.googleapis.com/auth/drive"],
-});
-
-// Verify auth configuration
-if (!process.env.GOOGLE_CLIENT_EMAIL || !process.env.GOOGLE_PRIVATE_KEY) {
-    console.error("⚠️ Missing Google Drive credentials in environment variables");
-}
-
-const drive = google.drive({ version: "v3", auth });
-
 const FAILED_ORDERS_TRACKER_ID = process.env.FAILED_ORDERS_TRACKER;
 
-export async function readJsonFromDrive(fileId) {
+export async function readJsonFromDrive(fileId, fileName = null) {
     if (!fileId) {
         console.error("❌ No file ID provided for Google Drive operation");
         return {};
     }
 
     try {
+        const storage = getStorage();
+
         // First check if this is a folder
-        const metadata = await drive.files.get({
-            fileId,
-            fields: 'mimeType,name'
-        });
+        let metadata = await storage.getFile(fileId);
+        if (!metadata) {
+            console.error(`❌ Tracker location ${fileId} not found`);
+            return {};
+        }
 
         // If it's a folder, look for the tracker file inside it
-        if (metadata.data.mimeType === 'application/vnd.google-apps.folder') {
-            console.log(`📂 Looking for tracker file in folder: ${metadata.data.name}`);
-            const files = await drive.files.list({
-                q: `'${fileId}' in parents and (name = 'processed_tracker.json' or name = 'failed_orders.json') and trashed = false`,
-                fields: 'files(id, name, mimeType)'
-            });
+        if (metadata.isFolder) {
+            console.log(`📂 Looking for tracker file in folder: ${metadata.name}`);
+            const trackerNames = fileName ? [fileName] : ['processed_tracker.json', 'failed_orders.json'];
+            const files = (await storage.listFolder(fileId))
+                .filter(file => trackerNames.includes(file.name));
 
-            if (files.data.files.length === 0) {
+            if (files.length === 0) {
                 console.log("📝 No tracker file found in folder");
                 return {};
             }
 
             // Use the first matching file
-            const trackerFile = files.data.files[0];
-            console.log(`📄 Found tracker file: ${trackerFile.name}`);
-            fileId = trackerFile.id;
-            
-            // Get the new file's metadata
-            const newMetadata = await drive.files.get({
-                fileId: trackerFile.id,
-                fields: 'mimeType'
-            });
-            metadata.data.mimeType = newMetadata.data.mimeType;
+            metadata = files[0];
+            console.log(`📄 Found tracker file: ${metadata.name}`);
         }
 
-        let content;
-        if (metadata.data.mimeType === 'application/vnd.google-apps.document') {
-            // If it's a Google Doc, export it as plain text
-            const response = await drive.files.export({
-                fileId,
-                mimeType: 'text/plain'
-            });
-            content = response.data;
-        } else if (metadata.data.mimeType === 'application/json' || metadata.data.mimeType === 'text/plain') {
-            // For JSON or text files, download directly
-            const response = await drive.files.get({
-                fileId,
-                alt: 'media'
-            });
-            content = response.data;
-        } else {
-            console.error(`❌ Unsupported file type: ${metadata.data.mimeType}`);
+        // Older trackers were uploaded as application/octet-stream
+        const supportedTypes = ['application/vnd.google-apps.document', 'application/json', 'text/plain', 'application/octet-stream'];
+        if (metadata.mimeType && !supportedTypes.includes(metadata.mimeType)) {
+            console.error(`❌ Unsupported file type: ${metadata.mimeType}`);
             return {};
         }
 
-        // Handle both string and object responses
-        if (typeof content === 'string') {
+        // Download to a scratch file and parse it locally
+        const tempPath = path.join(ensureDirectoryExists("./data"), `.download_${metadata.id.replace(/[^\w-]/g, '_')}.json`);
+        try {
+            await downloadFileFromDrive(metadata.id, tempPath, { mimeType: metadata.mimeType });
+            const content = fs.readFileSync(tempPath, 'utf-8');
             try {
                 return JSON.parse(content);
             } catch (e) {
                 console.error('❌ Failed to parse JSON content:', e.message);
                 return {};
             }
-        } else if (typeof content === 'object') {
-            return content;
+        } finally {
+            if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
         }
-
-        console.error('❌ Invalid JSON data format from Google Drive');
-        return {};
     } catch (error) {
         console.error(`❌ Failed to read JSON from Google Drive: ${error.message}`);
+        reportError(ERROR_CATEGORIES.DRIVE, error, { fileId, fileName });
         return {}; // Return an empty object to prevent crashes
     }
 }
 
+// Find the Drive copy of a tracker document, removing stray duplicates left by older versions
+async function findDriveDocument(folderId, fileName) {
+    const storage = getStorage();
+    const files = (await storage.listFolder(folderId, { name: fileName }))
+        .sort((a, b) => new Date(b.modifiedTime || 0) - new Date(a.modifiedTime || 0));
+
+    for (const duplicate of files.slice(1)) {
+        await storage.deleteFile(duplicate.id);
+        console.log(`🧹 Removed duplicate ${fileName} (${duplicate.id})`);
+    }
+    return files[0] || null;
+}
+
+// Upload a local file to Drive, updating the existing copy in place (as a new revision) when there is one
+async function putDriveFile(localPath, folderId, fileName, existing) {
+    const storage = getStorage();
+    const remote = existing === undefined ? await findDriveDocument(folderId, fileName) : existing;
+
+    if (remote) {
+        return storage.updateFile(remote.id, localPath, { mimeType: 'application/json' });
+    }
+
+    const fileId = await uploadFileToDrive(localPath, folderId, { name: fileName, mimeType: 'application/json' });
+    return storage.getFile(fileId);
+}
+
+const driveVersions = new Map(); // fileName → Drive version this process last wrote
+
 /** ===============================
- * ✅ Load Processed Orders Tracker
+ * ✅ Versioned JSON Tracker Write
+ * Refuses to overwrite when the local file or the Drive copy is at a newer
+ * revision than the document being saved (see trackerRevision.js).
+ * With `localOnly` only the local file is written; the next full save
+ * uploads everything since.
  * =============================== */
+async function writeVersionedJson(localPath, folderId, fileName, document, { localOnly = false } = {}) {
+    const localCopy = readJsonFromFile(localPath);
+    if (localCopy) {
+        assertRevision(fileName, document, getRevision(localCopy));
+    }
+
+    if (localOnly) {
+        bumpRevision(document);
+        writeJsonToFile(localPath, document);
+        return;
+    }
+
+    const remote = await findDriveDocument(folderId, fileName);
+    if (remote && driveVersions.get(fileName) !== remote.version) {
+        // Drive changed since this process last wrote it: compare document revisions
+        const remoteCopy = await readJsonFromDrive(remote.id);
+        if (getRevision(remoteCopy) > getRevision(document)) {
+            // Pull the newer copy so the next load sees it
+            writeJsonToFile(localPath, remoteCopy);
+            assertRevision(fileName, document, getRevision(remoteCopy));
+        }
+    }
+
+    // Another save may have landed locally while Drive was being checked
+    const latestLocal = readJsonFromFile(localPath);
+    if (latestLocal) {
+        assertRevision(fileName, document, getRevision(latestLocal));
+    }
+
+    bumpRevision(document);
+    writeJsonToFile(localPath, document);
+
+    const saved = await putDriveFile(localPath, folderId, fileName, remote);
+    driveVersions.set(fileName, saved?.version);
+}
+
+/** ===============================
+ * ✅ Tracker Store Selection
+ * TRACKER_STORE=json keeps JSON files locally and on Drive (default);
+ * TRACKER_STORE=sqlite keeps everything in an embedded SQLite database
+ * and only exports periodic snapshots to Drive.
+ * =============================== */
+export function isSqliteTrackerStore() {
+    return process.env.TRACKER_STORE === "sqlite";
+}
+
+// Open the SQLite store, importing the JSON trackers the first time
+async function ensureSqliteStore() {
+    if (!sqliteStore.needsLegacyImport()) return;
+
+    console.log("📥 Importing JSON trackers into SQLite store...");
+    sqliteStore.writeTrackerToDb(await loadJsonTracker());
+    sqliteStore.writeFailedOrdersToDb(await loadJsonFailedOrdersTracker());
+    sqliteStore.markLegacyImported();
+    console.log("✅ JSON trackers imported into SQLite store");
+}
+
 export async function loadTracker() {
+    if (!isSqliteTrackerStore()) return loadJsonTracker();
+
+    try {
+        await ensureSqliteStore();
+        return sqliteStore.readTrackerFromDb();
+    } catch (error) {
+        // An empty tracker would make every CSV look new and email every buyer again
+        console.error("❌ Failed to load tracker from SQLite:", error);
+        reportError(ERROR_CATEGORIES.TRACKER, error, { tracker: "processed_tracker" });
+        throw error;
+    }
+}
+
+/**
+ * ✅ Reads the tracker without the fallbacks loadTracker uses, so failures throw
+ * Used by /ready: a corrupt local file or an unreachable Drive copy should fail the check.
+ * @returns {Promise<{ store: string, source: string, orders: number }>}
+ */
+export async function checkTrackerReadable() {
+    if (isSqliteTrackerStore()) {
+        const tracker = sqliteStore.readTrackerFromDb();
+        return { store: "sqlite", source: "database", orders: Object.keys(tracker.orders).length };
+    }
+
+    if (fs.existsSync(TRACKER_FILE)) {
+        const tracker = JSON.parse(fs.readFileSync(TRACKER_FILE, "utf-8"));
+        return { store: "json", source: "local", orders: Object.keys(tracker.orders || {}).length };
+    }
+
+    // No local copy yet: the next load comes from the Drive tracker folder
+    await getStorage().listFolder(TRACKER_FOLDER_ID, { name: "processed_tracker.json" });
+    return { store: "json", source: "drive", orders: 0 };
+}
+
+/**
+ * ✅ Saves the tracker
+ * @param {Object} tracker
+ * @param {{ localOnly?: boolean }} [options] - JSON store: skip the Drive upload (see writeVersionedJson)
+ */
+export async function saveTracker(tracker, options = {}) {
+    if (!isSqliteTrackerStore()) return saveJsonTracker(tracker, options);
+
+    try {
+        await ensureSqliteStore();
+        sqliteStore.writeTrackerToDb(tracker);
+        console.log("✅ Tracker updated");
+    } catch (error) {
+        if (error instanceof TrackerConflictError) throw error;
+        console.error("❌ Failed to save tracker to SQLite:", error);
+        reportError(ERROR_CATEGORIES.TRACKER, error, { tracker: "processed_tracker" });
+    }
+}
+
+export async function loadFailedOrdersTracker() {
+    if (!isSqliteTrackerStore()) return loadJsonFailedOrdersTracker();
+
+    try {
+        await ensureSqliteStore();
+        return sqliteStore.readFailedOrdersFromDb();
+    } catch (error) {
+        // Saving an empty copy back would wipe the recorded failures
+        console.error("❌ Failed to load failed orders tracker from SQLite:", error);
+        reportError(ERROR_CATEGORIES.TRACKER, error, { tracker: "failed_orders" });
+        throw error;
+    }
+}
+
+export async function saveFailedOrdersTracker(tracker) {
+    if (!isSqliteTrackerStore()) return saveJsonFailedOrdersTracker(tracker);
+
+    try {
+        await ensureSqliteStore();
+        sqliteStore.writeFailedOrdersToDb(tracker);
+        console.log("✅ Tracker updated");
+    } catch (error) {
+        if (error instanceof TrackerConflictError) throw error;
+        console.error("❌ Failed to save failed orders tracker to SQLite:", error);
+        reportError(ERROR_CATEGORIES.TRACKER, error, { tracker: "failed_orders" });
+    }
+}
+
+/** ===============================
+ * ✅ Export Tracker Snapshot
+ * Backs the SQLite store up to the Drive tracker folder in the same
+ * JSON format the JSON store uses, so switching back needs no migration.
+ * =============================== */
+export async function exportTrackerSnapshot() {
+    if (!isSqliteTrackerStore()) return;
+
+    try {
+        await ensureSqliteStore();
+        const snapshotDir = ensureDirectoryExists("./data/snapshots");
+        const trackerPath = path.join(snapshotDir, "processed_tracker.json");
+        const failedOrdersPath = path.join(snapshotDir, "failed_orders.json");
+
+        writeJsonToFile(trackerPath, sqliteStore.readTrackerFromDb());
+        writeJsonToFile(failedOrdersPath, sqliteStore.readFailedOrdersFromDb());
+
+        await putDriveFile(trackerPath, TRACKER_FOLDER_ID, "processed_tracker.json");
+        await putDriveFile(failedOrdersPath, process.env.FAILED_ORDERS_TRACKER || TRACKER_FOLDER_ID, "failed_orders.json");
+        console.log("✅ Exported tracker snapshot to Drive");
+    } catch (error) {
+        console.error("❌ Failed to export tracker snapshot:", error);
+        reportError(ERROR_CATEGORIES.TRACKER, error, { tracker: "snapshot" });
+    }
+}
+
+/** ===============================
+ * ✅ Sent Notification Cache
+ * =============================== */
+const notificationsSent = new Set(); // JSON store keeps these in memory only
+
+export function wasNotificationSent(cacheKey) {
+    return isSqliteTrackerStore() ? sqliteStore.hasNotificationInDb(cacheKey) : notificationsSent.has(cacheKey);
+}
+
+export function recordNotificationSent(cacheKey, orderNumber) {
+    if (isSqliteTrackerStore()) {
+        sqliteStore.recordNotificationInDb(cacheKey, orderNumber);
+    } else {
+        notificationsSent.add(cacheKey);
+    }
+}
+
+export function clearSentNotifications() {
+    if (isSqliteTrackerStore()) {
+        sqliteStore.clearNotificationsInDb();
+    }
+    notificationsSent.clear();
+}
+
+/** ===============================
+ * ✅ Load Processed Orders Tracker
+ * =============================== */
+async function loadJsonTracker() {
     try {
         // Ensure data directory exists
         if (!fs.existsSync("./data")) {
@@ -146,7 +340,7 @@ export async function loadTracker() {
         // If not found locally or empty, try Google Drive with better error handling
         try {
             console.log("🔄 Attempting to load tracker from Google Drive...");
-            data = await readJsonFromDrive(process.env.TRACKER_FOLDER_ID);
+            data = await readJsonFromDrive(process.env.TRACKER_FOLDER_ID, 'processed_tracker.json');
             if (data && Object.keys(data).length > 0) {
                 console.log("✅ Loaded tracker from Google Drive");
                 writeJsonToFile(TRACKER_FILE, data);
@@ -159,7 +353,8 @@ export async function loadTracker() {
         // If no tracker exists or failed to load, create a new one
         console.log("📝 Creating new tracker...");
         const emptyTracker = {
-            processedOrders: {}
+            processedOrders: {},
+            orders: {}
         };
         writeJsonToFile(TRACKER_FILE, emptyTracker);
         return emptyTracker;
@@ -172,39 +367,21 @@ export async function loadTracker() {
 /** ================================
  * ✅ Save Processed Orders Tracker
  * ================================ */
-export async function saveTracker(tracker) {
+async function saveJsonTracker(tracker, options = {}) {
     try {
-        // Delete any existing file before saving
-        if (fs.existsSync(TRACKER_FILE)) {
-            fs.unlinkSync(TRACKER_FILE);
-        }
-        
-        // Write new file
-        writeJsonToFile(TRACKER_FILE, tracker);
-        
-        // Check for existing tracker files in Drive
-        const response = await drive.files.list({
-            q: `name = 'processed_tracker.json' and '${TRACKER_FOLDER_ID}' in parents and trashed=false`,
-            fields: 'files(id)'
-        });
-
-        // Delete any existing tracker files
-        for (const file of response.data.files) {
-            await drive.files.delete({ fileId: file.id });
-        }
-
-        // Upload the new tracker file
-        await uploadFileToDrive(TRACKER_FILE, TRACKER_FOLDER_ID);
-        console.log("✅ Tracker updated");
+        await writeVersionedJson(TRACKER_FILE, TRACKER_FOLDER_ID, 'processed_tracker.json', tracker, options);
+        console.log(options.localOnly ? "✅ Tracker updated locally" : "✅ Tracker updated");
     } catch (error) {
+        if (error instanceof TrackerConflictError) throw error;
         console.error("❌ Failed to save tracker:", error);
+        reportError(ERROR_CATEGORIES.TRACKER, error, { tracker: "processed_tracker" });
     }
 }
 
 /** ===============================
  * ✅ Load Failed Orders Tracker
  * =============================== */
-export async function loadFailedOrdersTracker() {
+async function loadJsonFailedOrdersTracker() {
     try {
         // Ensure data directory exists
         if (!fs.existsSync("./data")) {
@@ -222,7 +399,7 @@ export async function loadFailedOrdersTracker() {
         // If not found locally, try Google Drive with better error handling
         try {
             console.log("🔄 Attempting to load failed orders tracker from Google Drive...");
-            data = await readJsonFromDrive(process.env.FAILED_ORDERS_TRACKER);
+            data = await readJsonFromDrive(process.env.FAILED_ORDERS_TRACKER, 'failed_orders.json');
             if (data && Object.keys(data).length > 0) {
                 console.log("✅ Loaded failed orders tracker from Google Drive");
                 writeJsonToFile(FAILED_ORDERS_FILE, data);
@@ -246,32 +423,14 @@ export async function loadFailedOrdersTracker() {
 /** ================================
  * ✅ Save Failed Orders Tracker
  * ================================ */
-export async function saveFailedOrdersTracker(tracker) {
+async function saveJsonFailedOrdersTracker(tracker) {
     try {
-        // Delete any existing file before saving
-        if (fs.existsSync(FAILED_ORDERS_FILE)) {
-            fs.unlinkSync(FAILED_ORDERS_FILE);
-        }
-        
-        // Write new file
-        writeJsonToFile(FAILED_ORDERS_FILE, tracker);
-        
-        // Upload to Drive, replacing any existing file
-        const existingFiles = await drive.files.list({
-            q: `'${process.env.FAILED_ORDERS_TRACKER}' in parents and name='failed_orders.json' and trashed=false`,
-            fields: 'files(id)'
-        });
-        
-        // Delete existing files in Drive
-        for (const file of existingFiles.data.files) {
-            await drive.files.delete({ fileId: file.id });
-        }
-        
-        // Upload new file
-        await uploadFileToDrive(FAILED_ORDERS_FILE, process.env.FAILED_ORDERS_TRACKER);
+        await writeVersionedJson(FAILED_ORDERS_FILE, process.env.FAILED_ORDERS_TRACKER, 'failed_orders.json', tracker);
         console.log("✅ Tracker updated");
     } catch (error) {
+        if (error instanceof TrackerConflictError) throw error;
         console.error("❌ Failed to save tracker:", error);
+        reportError(ERROR_CATEGORIES.TRACKER, error, { tracker: "failed_orders" });
     }
 }
 
@@ -284,12 +443,10 @@ export async function processEtsyOrderFile(fileId, fileName) {
     try {
         // Load tracker
         const tracker = await loadTracker();
-        const baseFileName = fileName.replace(/_fix\d*\.csv$/, '.csv');
-        const isFixAttempt = fileName.includes('_fix');
 
-        // Check if already processed (unless it's a fix attempt)
-        if (!isFixAttempt && tracker.processedOrders[baseFileName]) {
-            console.log(`⚠️ File ${baseFileName} has already been processed. Use _fix suffix to reprocess.`);
+        // Already processed orders are redone through the admin reprocess endpoint
+        if (tracker.processedOrders[fileName]) {
+            console.log(`⚠️ File ${fileName} has already been processed. Use the admin reprocess endpoint to redo an order.`);
             return;
         }
 
@@ -303,6 +460,124 @@ export async function processEtsyOrderFile(fileId, fileName) {
     }
 }
 
+const updateQueues = new Map(); // tracker name → promise for its last queued update
+
+// Runs updates of one tracker one at a time, so two updates in this process never load the same revision
+function runExclusive(name, task) {
+    const previous = updateQueues.get(name) || Promise.resolve();
+    const run = previous.then(task);
+    updateQueues.set(name, run.catch(() => {}));
+    return run;
+}
+
+/** ==========================================
+ * ✅ Update Tracker
+ * Loads, modifies and saves the tracker, re-applying the change on a fresh
+ * copy when another writer saved in between. Updates within this process
+ * are queued; the retry covers other processes.
+ * `localOnly` skips the Drive upload (see saveTracker).
+ * ========================================== */
+export async function updateTracker(mutate, { localOnly = false, retries = 2 } = {}) {
+    return runExclusive("processed_tracker", async () => {
+        for (let attempt = 0; ; attempt++) {
+            const tracker = await loadTracker();
+            const result = await mutate(tracker);
+
+            try {
+                await saveTracker(tracker, { localOnly });
+                return result;
+            } catch (error) {
+                if (!(error instanceof TrackerConflictError) || attempt >= retries) throw error;
+                console.warn(`⚠️ ${error.message} - retrying`);
+            }
+        }
+    });
+}
+
+// Same as updateTracker, for the failed orders tracker
+export async function updateFailedOrdersTracker(mutate, { retries = 2 } = {}) {
+    return runExclusive("failed_orders", async () => {
+        for (let attempt = 0; ; attempt++) {
+            const failedOrders = await loadFailedOrdersTracker();
+            const result = await mutate(failedOrders);
+
+            try {
+                await saveFailedOrdersTracker(failedOrders);
+                return result;
+            } catch (error) {
+                if (!(error instanceof TrackerConflictError) || attempt >= retries) throw error;
+                console.warn(`⚠️ ${error.message} - retrying`);
+            }
+        }
+    });
+}
+
+/** ==========================================
+ * ✅ Update Order State
+ * Intermediate pipeline steps pass `localOnly` so each order uploads the
+ * tracker once, when its outcome is saved.
+ * ========================================== */
+export async function updateOrderState(orderNumber, nextState, details = {}, { localOnly = false } = {}) {
+    const order = await updateTracker(tracker => transitionOrder(tracker, orderNumber, nextState, details), { localOnly });
+    console.log(`🔁 Order ${orderNumber} → ${nextState}`);
+    return order;
+}
+
+/** ==========================================
+ * ✅ Sync Tracker
+ * Uploads changes saved with `localOnly` to Drive
+ * ========================================== */
+export async function syncTracker() {
+    await updateTracker(() => {});
+}
+
+/** ==========================================
+ * ✅ Log an Order Event (no state change)
+ * ========================================== */
+export async function logOrderEvent(orderNumber, note, fields = {}) {
+    const order = await updateTracker(tracker => recordOrderEvent(tracker, orderNumber, note, fields));
+    console.log(`📝 Order ${orderNumber}: ${note}`);
+    return order;
+}
+
+export async function getOrderRecord(orderNumber) {
+    const tracker = await loadTracker();
+    return tracker.orders?.[orderNumber] || null;
+}
+
+/** ==========================================
+ * ✅ Record Order Downloads
+ * ========================================== */
+export async function recordOrderDownload(orderNumber, download) {
+    const downloadCount = await updateTracker(tracker => {
+        if (!tracker.orders) {
+            tracker.orders = {};
+        }
+
+        const order = tracker.orders[orderNumber] || (tracker.orders[orderNumber] = { orderNumber, downloads: [] });
+        order.downloads = order.downloads || [];
+        order.downloads.push({ at: new Date().toISOString(), ...download });
+
+        // The first completed download confirms delivery
+        if (order.state === ORDER_STATES.EMAILED) {
+            transitionOrder(tracker, orderNumber, ORDER_STATES.DELIVERED, { deliveredAt: new Date().toISOString() });
+        }
+        return order.downloads.length;
+    });
+
+    console.log(`⬇️ Recorded download #${downloadCount} for order ${orderNumber}`);
+    return downloadCount;
+}
+
+/** ==========================================
+ * ✅ Failed Order Entries
+ * Everything in the failed orders tracker except skipped files and metadata
+ * ========================================== */
+export function getFailureEntries(failedOrders) {
+    const { skippedFiles, _meta, ...failures } = failedOrders || {};
+    return Object.entries(failures);
+}
+
 // Helper function to convert old tracker format to new format
 function convertToNewFormat(data) {
     if (Array.isArray(data.processedFiles) || Array.isArray(data.processedOrders)) {
@@ -348,12 +623,7 @@ async function downloadAndParseCSV(fileId, filePath) {
 
 // Add the getSubfolderId helper function
 async function getSubfolderId(parentFolderId, subfolderName) {
-    const response = await drive.files.list({
-        q: `'${parentFolderId}' in parents and name='${subfolderName}' and mimeType='application/vnd.google-apps.folder' and trashed=false`,
-        fields: 'files(id, name)'
-    });
-
-    return response.data.files.length ? response.data.files[0].id : null;
+    return getStorage().findSubfolder(parentFolderId, subfolderName);
 }
 
 async function downloadProductFiles(productName, tempFolder) {
@@ -0,0 +1,43 @@
+/**
+ * Optimistic concurrency for tracker documents.
+ *
+ * Every tracker document carries `_meta.revision`. A save only succeeds when
+ * the stored copy is still at the revision the caller loaded; otherwise a
+ * TrackerConflictError is thrown instead of overwriting someone else's changes.
+ */
+
+export class TrackerConflictError extends Error {
+    constructor(documentName, expectedRevision, foundRevision) {
+        super(`❌ ${documentName} was modified since it was loaded (expected revision ${expectedRevision}, found ${foundRevision})`);
+        this.name = "TrackerConflictError";
+        this.documentName = documentName;
+    }
+}
+
+/**
+ * ✅ Returns the revision a tracker document was loaded at (0 for legacy documents)
+ */
+export function getRevision(document) {
+    return document?._meta?.revision || 0;
+}
+
+/**
+ * ✅ Throws unless the stored revision is not newer than the one being saved
+ */
+export function assertRevision(documentName, document, storedRevision) {
+    const expected = getRevision(document);
+    if (storedRevision > expected) {
+        throw new TrackerConflictError(documentName, expected, storedRevision);
+    }
+}
+
+/**
+ * ✅ Stamps the next revision onto a document that is about to be written
+ */
+export function bumpRevision(document) {
+    document._meta = {
+        revision: getRevision(document) + 1,
+        updatedAt: new Date().toISOString(),
+    };
+    return document;
+}
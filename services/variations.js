@@ -0,0 +1,69 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Etsy's "Variations" column lists the buyer's choices as "Name:Value"
+ * pairs, e.g. "Size:A2" or "Size: 40 x 40 cm,Frame:None".
+ *
+ * SIZE_VARIATION_NAME is the variation holding the size (default "Size").
+ * SIZE_VARIATION_MAP maps its values to size folder names as JSON, e.g.
+ *   {"40 x 40 cm": "40x40", "A2 (42 x 59,4 cm)": "A2"}
+ * Values missing from the map are used as the folder name as-is.
+ */
+
+function getSizeVariationName() {
+    return (process.env.SIZE_VARIATION_NAME || "Size").trim().toLowerCase();
+}
+
+function getSizeVariationMap() {
+    if (!process.env.SIZE_VARIATION_MAP) return {};
+    try {
+        const map = JSON.parse(process.env.SIZE_VARIATION_MAP);
+        // Compare labels case-insensitively
+        return Object.fromEntries(Object.entries(map).map(([label, folder]) => [label.trim().toLowerCase(), String(folder)]));
+    } catch (error) {
+        console.error(`⚠️ Ignoring invalid SIZE_VARIATION_MAP: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * ✅ Size folder names that SIZE_VARIATION_MAP points at
+ */
+export function getMappedSizeFolders() {
+    return [...new Set(Object.values(getSizeVariationMap()))];
+}
+
+/**
+ * ✅ Parses a Variations cell into { name: value }, keyed by lowercase name
+ * A comma only starts a new pair when a "Name:" follows, so values such as
+ * "42 x 59,4 cm" stay intact.
+ * @param {string} value
+ * @returns {Object<string, string>}
+ */
+export function parseVariations(value) {
+    if (!value || typeof value !== "string") return {};
+
+    return Object.fromEntries(value
+        .split(/,(?=\s*[^,:]+:)/)
+        .map(pair => {
+            const separator = pair.indexOf(":");
+            if (separator === -1) return null;
+            return [pair.slice(0, separator).trim().toLowerCase(), pair.slice(separator + 1).trim()];
+        })
+        .filter(pair => pair && pair[0] && pair[1]));
+}
+
+/**
+ * ✅ Size the buyer selected for an order row, or null if the listing has no size variation
+ * @param {Object} orderData - CSV row with a "Variations" column
+ * @returns {{ label: string, folder: string }|null}
+ */
+export function getSelectedSize(orderData) {
+    const label = parseVariations(orderData["Variations"])[getSizeVariationName()];
+    if (!label) return null;
+
+    const folder = getSizeVariationMap()[label.toLowerCase()] || label;
+    return { label, folder };
+}
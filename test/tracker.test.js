@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The tracker keeps its files under ./data, so run from a scratch directory with local storage
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "tracker-test-"));
+process.chdir(workDir);
+fs.mkdirSync(path.join(workDir, "storage", "tracker"), { recursive: true });
+Object.assign(process.env, {
+    STORAGE_BACKEND: "local",
+    LOCAL_STORAGE_ROOT: path.join(workDir, "storage"),
+    TRACKER_FOLDER_ID: "tracker",
+    FAILED_ORDERS_TRACKER: "tracker",
+    TRACKER_STORE: "json",
+    // Required by emailHandler.js at import; no mail is sent
+    SMTP_HOST: "localhost",
+    SMTP_PORT: "465",
+    BREVO_USER: "test",
+    BREVO_SMTP_KEY: "test",
+    BREVO_SENDER: "test@example.com",
+});
+
+const { updateTracker, updateFailedOrdersTracker, loadTracker, loadFailedOrdersTracker } = await import("../services/tracker.js");
+
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test("overlapping tracker updates both land", async () => {
+    await Promise.all([
+        updateTracker(tracker => {
+            tracker.processedOrders["first.csv"] = ["1001"];
+        }),
+        updateTracker(tracker => {
+            tracker.processedOrders["second.csv"] = ["1002"];
+        }),
+    ]);
+
+    const tracker = await loadTracker();
+    assert.deepEqual(tracker.processedOrders["first.csv"], ["1001"]);
+    assert.deepEqual(tracker.processedOrders["second.csv"], ["1002"]);
+});
+
+test("overlapping failed orders updates both land", async () => {
+    await Promise.all([
+        updateFailedOrdersTracker(failedOrders => {
+            failedOrders["1001"] = "first";
+        }),
+        updateFailedOrdersTracker(failedOrders => {
+            failedOrders["1002"] = "second";
+        }),
+    ]);
+
+    const failedOrders = await loadFailedOrdersTracker();
+    assert.equal(failedOrders["1001"], "first");
+    assert.equal(failedOrders["1002"], "second");
+});
+
+test("a failed update does not block the next one", async () => {
+    await assert.rejects(updateTracker(() => {
+        throw new Error("boom");
+    }), /boom/);
+
+    await updateTracker(tracker => {
+        tracker.processedOrders["third.csv"] = ["1003"];
+    });
+    assert.deepEqual((await loadTracker()).processedOrders["third.csv"], ["1003"]);
+});